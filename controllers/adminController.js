@@ -393,12 +393,14 @@ export const rejectProfile = async (req, res) => {
 
 export const getAllReports = async (req, res) => {
   try {
-    const { status = 'pending', reportType = 'all' } = req.query;
+    const { status = 'pending', reportType = 'all', source = 'all' } = req.query;
     const { page, limit, skip } = parsePagination(req.query);
 
     const filter = {};
     if (status !== 'all') filter.status = status;
     if (reportType !== 'all') filter.reportType = reportType;
+    // source=auto_moderation lists what the chat content filter flagged
+    if (source !== 'all') filter.source = source === 'user' ? { $ne: 'auto_moderation' } : source;
 
     const [reports, total] = await Promise.all([
       Report.find(filter)
@@ -0,0 +1,68 @@
+// ===== FILE: ./controllers/adminMatchWeightController.js =====
+import MatchWeightConfig from '../models/MatchWeightConfig.js';
+import { DEFAULT_MATCH_WEIGHTS, MATCH_CRITERIA } from '../utils/calculateMatchScore.js';
+import { getMatchWeights, invalidateMatchWeights, sanitizeWeights } from '../services/matchWeightService.js';
+import { handleControllerError } from '../utils/errors.js';
+
+// GET /api/admin/match-weights
+export async function getMatchWeightConfig(req, res) {
+  try {
+    const weights = await getMatchWeights();
+    return res.json({ weights, defaults: DEFAULT_MATCH_WEIGHTS, criteria: MATCH_CRITERIA });
+  } catch (e) {
+    return handleControllerError(res, e, 'Get match weights');
+  }
+}
+
+// PUT /api/admin/match-weights
+// Body: { weights: { religion: 20, height: 5, ... } } (partial updates allowed)
+export async function upsertMatchWeightConfig(req, res) {
+  try {
+    const input = req.body?.weights;
+    if (!input || typeof input !== 'object') {
+      return res.status(400).json({ message: 'weights object required' });
+    }
+
+    const unknown = Object.keys(input).filter((k) => !MATCH_CRITERIA.some((c) => c.key === k));
+    if (unknown.length) {
+      return res.status(400).json({ message: `Unknown criteria: ${unknown.join(', ')}` });
+    }
+
+    const clean = sanitizeWeights(input);
+    if (Object.keys(clean).length !== Object.keys(input).length) {
+      return res.status(400).json({ message: 'Weights must be numbers >= 0' });
+    }
+
+    const current = await MatchWeightConfig.findOne().sort({ createdAt: -1 }).lean();
+    const weights = { ...sanitizeWeights(current?.weights || {}), ...clean };
+
+    const cfg = await MatchWeightConfig.findOneAndUpdate(
+      {},
+      { $set: { weights, updatedBy: req.user._id } },
+      { upsert: true, new: true }
+    );
+
+    invalidateMatchWeights();
+
+    return res.json({ success: true, weights: { ...DEFAULT_MATCH_WEIGHTS, ...cfg.weights } });
+  } catch (e) {
+    return handleControllerError(res, e, 'Update match weights');
+  }
+}
+
+// DELETE /api/admin/match-weights  (reset to defaults)
+export async function resetMatchWeightConfig(req, res) {
+  try {
+    await MatchWeightConfig.deleteMany({});
+    invalidateMatchWeights();
+    return res.json({ success: true, weights: DEFAULT_MATCH_WEIGHTS });
+  } catch (e) {
+    return handleControllerError(res, e, 'Reset match weights');
+  }
+}
+
+export default {
+  getMatchWeightConfig,
+  upsertMatchWeightConfig,
+  resetMatchWeightConfig,
+};
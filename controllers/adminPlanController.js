@@ -1,5 +1,6 @@
 // server/controllers/adminPlanController.js
 import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import { QUOTA_METRICS } from '../utils/constants.js';
 
 function minorDigits(currency) {
   const c = String(currency || '').toUpperCase();
@@ -24,6 +25,24 @@ function normalizeFeatures(features) {
     .filter(Boolean);
 }
 
+// Quota limits: '' / null = unlimited, absent = keep the tier default
+function normalizeLimits(limits) {
+  if (!limits || typeof limits !== 'object') return undefined;
+  const out = {};
+  for (const metric of Object.keys(QUOTA_METRICS)) {
+    if (!(metric in limits)) continue;
+    const v = limits[metric];
+    if (v === null || v === '') {
+      out[metric] = null;
+      continue;
+    }
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid limit for ${metric}`);
+    out[metric] = Math.floor(n);
+  }
+  return out;
+}
+
 // GET /api/admin/plans
 export async function listPlans(req, res) {
   try {
@@ -48,6 +67,7 @@ export async function createPlan(req, res) {
       features = [],
       isActive = true,
       sortOrder = 0,
+      limits,
     } = req.body || {};
 
     if (!code || !name || !interval || price === undefined) {
@@ -58,6 +78,13 @@ export async function createPlan(req, res) {
     const major = Number(price);
     if (!Number.isFinite(major) || major < 0) return res.status(400).json({ message: 'Invalid price' });
 
+    let planLimits;
+    try {
+      planLimits = normalizeLimits(limits);
+    } catch (err) {
+      return res.status(400).json({ message: err.message });
+    }
+
     const plan = await SubscriptionPlan.create({
       code: String(code).trim(),
       name: String(name).trim(),
@@ -70,6 +97,7 @@ export async function createPlan(req, res) {
       features: normalizeFeatures(features),
       isActive: Boolean(isActive),
       sortOrder: Number(sortOrder) || 0,
+      ...(planLimits && { limits: planLimits }),
     });
 
     return res.json({ plan });
@@ -111,6 +139,16 @@ export async function updatePlan(req, res) {
       plan.priceMinor = toMinor(major, plan.currency);
     }
 
+    if (patch.limits !== undefined) {
+      let planLimits;
+      try {
+        planLimits = normalizeLimits(patch.limits);
+      } catch (err) {
+        return res.status(400).json({ message: err.message });
+      }
+      for (const [metric, value] of Object.entries(planLimits || {})) plan.set(`limits.${metric}`, value);
+    }
+
     if (String(plan.interval) === 'lifetime') plan.intervalCount = 1;
 
     await plan.save();
@@ -12,7 +12,11 @@ import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
 import Subscription from '../models/Subscription.js';
 import Payment from '../models/Payment.js';
+import ProfileView from '../models/ProfileView.js';
+import UserBlock from '../models/UserBlock.js';
+import UsageCounter from '../models/UsageCounter.js';
 import { handleControllerError, AppError } from '../utils/errors.js';
+import { getQuotaSummary } from '../services/quotaService.js';
 import { TOKEN_EXPIRY } from '../utils/constants.js';
 import AdminLog from '../models/AdminLog.js';
 
@@ -114,6 +118,7 @@ const getUserWithPhoto = async (user) => {
       : { status: 'none' },
 
     subscription: user.subscription,
+    superInterestCredits: user.superInterestCredits || 0,
     profileId,
 
     isPremium: user.isPremium,
@@ -438,8 +443,8 @@ export const getMe = async (req, res) => {
     const user = await User.findById(req.user._id);
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    const userData = await getUserWithPhoto(user);
-    res.json({ user: userData });
+    const [userData, quotas] = await Promise.all([getUserWithPhoto(user), getQuotaSummary(user)]);
+    res.json({ user: { ...userData, quotas } });
   } catch (e) {
     handleControllerError(res, e, 'Get me');
   }
@@ -558,6 +563,9 @@ export const deleteAccount = async (req, res) => {
     await Interest.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] }).session(session);
     await Shortlist.deleteMany({ $or: [{ userId }, { shortlistedUserId: userId }] }).session(session);
     await Notification.deleteMany({ userId }).session(session);
+    await ProfileView.deleteMany({ $or: [{ viewerId: userId }, { viewedUserId: userId }] }).session(session);
+    await UserBlock.deleteMany({ $or: [{ blockerId: userId }, { blockedId: userId }] }).session(session);
+    await UsageCounter.deleteMany({ userId }).session(session);
     await Message.updateMany(
       { $or: [{ senderId: userId }, { receiverId: userId }] },
       { isDeleted: true, deletedAt: new Date() }
@@ -0,0 +1,87 @@
+// ===== FILE: ./controllers/blockController.js =====
+import mongoose from 'mongoose';
+import UserBlock from '../models/UserBlock.js';
+import User from '../models/User.js';
+import Profile from '../models/Profile.js';
+import { blockUser, unblockUser } from '../services/blockService.js';
+import { handleControllerError } from '../utils/errors.js';
+import { paginateFind } from '../utils/pagination.js';
+
+// People I have blocked (most recent first), with a minimal profile card each
+export const listBlocks = async (req, res) => {
+  try {
+    const { items, pagination } = await paginateFind(UserBlock, { blockerId: req.user._id }, req.query);
+
+    const profiles = await Profile.find({ userId: { $in: items.map((b) => b.blockedId) } })
+      .select('userId fullName photos profileId')
+      .lean();
+    const profileByUserId = new Map(profiles.map((p) => [p.userId.toString(), p]));
+
+    const blocks = items.map((b) => {
+      const profile = profileByUserId.get(b.blockedId.toString());
+      const photo = profile?.photos?.find((p) => p.isProfile) || profile?.photos?.[0];
+      return {
+        _id: b._id,
+        userId: b.blockedId,
+        source: b.source,
+        reason: b.reason,
+        blockedAt: b.createdAt,
+        profile: profile
+          ? { _id: profile._id, profileId: profile.profileId, fullName: profile.fullName, photoUrl: photo?.url || null }
+          : null,
+      };
+    });
+
+    res.json({ success: true, blocks, pagination });
+  } catch (e) {
+    handleControllerError(res, e, 'List blocks');
+  }
+};
+
+export const createBlock = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { userId: targetUserId } = req.params;
+    const { reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    if (targetUserId.toString() === userId.toString()) {
+      return res.status(400).json({ message: 'Cannot block yourself' });
+    }
+    if (!(await User.exists({ _id: targetUserId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const block = await blockUser({
+      blockerId: userId,
+      blockedId: targetUserId,
+      source: 'profile',
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 500) || null : null,
+    });
+
+    res.status(201).json({ success: true, message: 'User blocked', block });
+  } catch (e) {
+    handleControllerError(res, e, 'Block user');
+  }
+};
+
+export const removeBlock = async (req, res) => {
+  try {
+    const { userId: targetUserId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const removed = await unblockUser({ blockerId: req.user._id, blockedId: targetUserId });
+    if (!removed) return res.status(404).json({ message: 'Block not found' });
+
+    res.json({ success: true, message: 'User unblocked' });
+  } catch (e) {
+    handleControllerError(res, e, 'Unblock user');
+  }
+};
+
+export default { listBlocks, createBlock, removeBlock };
@@ -1,13 +1,44 @@
 // ===== FILE: ./controllers/chatController.js =====
+import fs from 'fs';
 import mongoose from 'mongoose';
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
 import Profile from '../models/Profile.js';
 import User from '../models/User.js';
-import Notification from '../models/Notification.js'; // ✅ NEW: persist notifications
+import UserBlock from '../models/UserBlock.js';
+import { notifyUser } from '../services/notificationService.js'; // ✅ NEW: persist notifications
+import {
+  blockUser as blockUserPair,
+  unblockUser as unblockUserPair,
+  isBlockedBetween,
+} from '../services/blockService.js';
 import { canChatAccess } from '../utils/entitlements.js';
+import { consumeQuota, releaseQuota } from '../services/quotaService.js';
+import {
+  createChatAttachment,
+  claimChatAttachment,
+  linkChatAttachment,
+  releaseChatAttachment,
+  attachmentMessageFields,
+} from '../services/chatAttachmentService.js';
+import {
+  markMessagesDelivered,
+  markConversationRead,
+  readReceiptsVisibleBetween,
+  maskReadReceipts,
+} from '../services/messageStatusService.js';
+import {
+  editMessage as editMessageContent,
+  deleteMessage as deleteMessageFor,
+  hideConversationFor,
+  setConversationArchived,
+  visibleMessagesFilter,
+  conversationListFilter,
+  participantView,
+} from '../services/messageActionService.js';
+import { moderateChatMessage, reportFlaggedMessage } from '../services/chatModerationService.js';
 import { handleControllerError } from '../utils/errors.js';
-import { parsePagination, formatPaginationResponse } from '../utils/pagination.js';
+import { paginateFind } from '../utils/pagination.js';
 import { LIMITS } from '../utils/constants.js';
 
 const getUnreadForUser = (unreadCount, userId) => {
@@ -34,19 +65,40 @@ const validateReceiver = async (receiverId) => {
   return { valid: true };
 };
 
+// only starting a brand-new conversation counts against the plan; a failed create gives it back
+const startConversation = async (user, otherUserId) => {
+  await consumeQuota(user, 'chatInitiationsPerDay');
+  try {
+    return await Conversation.create({
+      participants: [user._id, otherUserId],
+      unreadCount: new Map([
+        [user._id.toString(), 0],
+        [otherUserId.toString(), 0],
+      ]),
+    });
+  } catch (e) {
+    await releaseQuota(user, 'chatInitiationsPerDay');
+    throw e;
+  }
+};
+
+// undo startConversation when the first message doesn't go out, so the initiation isn't spent on nothing
+const abandonConversation = async (user, conversation) => {
+  const { deletedCount } = await Conversation.deleteOne({ _id: conversation._id, 'lastMessage.timestamp': null });
+  if (deletedCount) await releaseQuota(user, 'chatInitiationsPerDay');
+};
+
 export const getConversations = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page, limit, skip } = parsePagination(req.query);
 
-    const [conversations, total] = await Promise.all([
-      Conversation.find({ participants: userId })
-        .sort({ updatedAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Conversation.countDocuments({ participants: userId }),
-    ]);
+    // ?archived=true lists the archive instead of the inbox
+    const { items: conversations, pagination } = await paginateFind(
+      Conversation,
+      conversationListFilter(userId, { archived: req.query.archived === 'true' }),
+      req.query,
+      { sortField: 'updatedAt' }
+    );
 
     const otherUserIds = conversations
       .map((c) => pickOtherUserId(c.participants, userId))
@@ -70,17 +122,14 @@ export const getConversations = async (req, res) => {
       const unreadForMe = getUnreadForUser(conv.unreadCount, userId);
 
       return {
-        ...conv,
+        ...participantView(conv, userId),
         otherUser: profile || (otherUserId ? { userId: otherUserId } : null),
         unreadCount: unreadForMe,
         unreadForMe,
       };
     });
 
-    res.json({
-      conversations: formatted,
-      pagination: formatPaginationResponse(total, page, limit),
-    });
+    res.json({ conversations: formatted, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get conversations');
   }
@@ -103,25 +152,26 @@ export const getOrCreateConversation = async (req, res) => {
     if (!receiverCheck.valid) {
       return res.status(receiverCheck.status).json({ message: receiverCheck.message });
     }
+    if (await isBlockedBetween(userId, participantId)) {
+      return res.status(403).json({ message: 'Conversation is blocked' });
+    }
 
     let conversation = await Conversation.findOne({
       participants: { $all: [userId, participantId] },
     });
 
     if (!conversation) {
-      conversation = await Conversation.create({
-        participants: [userId, participantId],
-        unreadCount: new Map([
+      conversation = await startConversation(req.user, participantId);
+    } else {
+      if (!conversation.unreadCount) {
+        conversation.unreadCount = new Map([
           [userId.toString(), 0],
           [participantId.toString(), 0],
-        ]),
-      });
-    } else if (!conversation.unreadCount) {
-      conversation.unreadCount = new Map([
-        [userId.toString(), 0],
-        [participantId.toString(), 0],
-      ]);
-      await conversation.save();
+        ]);
+      }
+      // reopening a conversation you deleted brings it back (its old history stays cleared)
+      conversation.hiddenAt?.delete(userId.toString());
+      if (conversation.isModified()) await conversation.save();
     }
 
     const profile = await Profile.findOne({ userId: participantId })
@@ -130,7 +180,7 @@ export const getOrCreateConversation = async (req, res) => {
 
     res.json({
       conversation: {
-        ...conversation.toObject(),
+        ...participantView(conversation.toObject(), userId),
         otherUser: profile || { userId: participantId },
         unreadCount: getUnreadForUser(conversation.unreadCount, userId),
         unreadForMe: getUnreadForUser(conversation.unreadCount, userId),
@@ -169,7 +219,7 @@ export const getConversation = async (req, res) => {
 
     res.json({
       conversation: {
-        ...conversation.toObject(),
+        ...participantView(conversation.toObject(), userId),
         otherUser: profile || (otherUserId ? { userId: otherUserId } : null),
         unreadCount: getUnreadForUser(conversation.unreadCount, userId),
         unreadForMe: getUnreadForUser(conversation.unreadCount, userId),
@@ -184,7 +234,6 @@ export const getMessages = async (req, res) => {
   try {
     const userId = req.user._id;
     const { conversationId } = req.params;
-    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 50 });
 
     if (!mongoose.Types.ObjectId.isValid(conversationId)) {
       return res.status(400).json({ message: 'Invalid conversationId' });
@@ -199,19 +248,23 @@ export const getMessages = async (req, res) => {
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    const [messages, total] = await Promise.all([
-      Message.find({ conversationId, isDeleted: false })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Message.countDocuments({ conversationId, isDeleted: false }),
-    ]);
+    // newest first; nextCursor (?after=) walks back into older history
+    const { items: messages, pagination } = await paginateFind(
+      Message,
+      visibleMessagesFilter(conversation, userId),
+      req.query,
+      { defaultLimit: 50, decorate: (q) => q.select('-editHistory -deletedFor') }
+    );
 
-    res.json({
-      messages: messages.reverse(),
-      pagination: formatPaginationResponse(total, page, limit),
-    });
+    const socketInstance = req.app.get('socketInstance');
+    const delivered = await markMessagesDelivered(userId, { conversationId });
+    socketInstance?.publishStatus(delivered, 'delivered');
+
+    const otherUserId = pickOtherUserId(conversation.participants, userId);
+    const showReceipts = !otherUserId || (await readReceiptsVisibleBetween(userId, otherUserId));
+    const visible = showReceipts ? messages : maskReadReceipts(messages, userId);
+
+    res.json({ messages: visible.reverse(), pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get messages');
   }
@@ -219,12 +272,27 @@ export const getMessages = async (req, res) => {
 
 // ✅ Send message (HTTP) + persist notification
 export const sendMessage = async (req, res) => {
+  // a conversation this send opened, until its first message is saved
+  let opened = null;
+  const abandon = async () => {
+    if (opened) await abandonConversation(req.user, opened);
+    opened = null;
+  };
+
   try {
     const userId = req.user._id;
-    const { conversationId, receiverId, content, messageType = 'text' } = req.body;
+    const { conversationId, receiverId, content, messageType = 'text', attachmentId } = req.body;
 
+    if (!['text', 'image', 'voice', 'file'].includes(messageType)) {
+      return res.status(400).json({ message: 'Invalid messageType' });
+    }
+    if (attachmentId && !mongoose.Types.ObjectId.isValid(attachmentId)) {
+      return res.status(400).json({ message: 'Invalid attachmentId' });
+    }
+
+    // with an attachment, content is an optional caption
     const trimmed = typeof content === 'string' ? content.trim() : '';
-    if (!trimmed) return res.status(400).json({ message: 'Content is required' });
+    if (!trimmed && !attachmentId) return res.status(400).json({ message: 'Content is required' });
     if (trimmed.length > LIMITS.MAX_MESSAGE_LENGTH) {
       return res.status(400).json({
         message: `Message too long (max ${LIMITS.MAX_MESSAGE_LENGTH} characters)`,
@@ -235,6 +303,9 @@ export const sendMessage = async (req, res) => {
       return res.status(403).json({ message: 'Premium subscription required', code: 'PREMIUM_REQUIRED' });
     }
 
+    // throws MessageBlockedError; masked text replaces the original from here on
+    const moderated = moderateChatMessage(trimmed, req.user);
+
     let conversation;
 
     if (conversationId) {
@@ -254,82 +325,180 @@ export const sendMessage = async (req, res) => {
       if (!receiverCheck.valid) {
         return res.status(receiverCheck.status).json({ message: receiverCheck.message });
       }
+      if (await isBlockedBetween(userId, receiverId)) {
+        return res.status(403).json({ message: 'Conversation is blocked' });
+      }
 
       conversation = await Conversation.findOne({
         participants: { $all: [userId, receiverId] },
       });
 
       if (!conversation) {
-        conversation = await Conversation.create({
-          participants: [userId, receiverId],
-          unreadCount: new Map([
-            [userId.toString(), 0],
-            [receiverId.toString(), 0],
-          ]),
-        });
+        conversation = await startConversation(req.user, receiverId);
+        opened = conversation;
       }
     }
 
     if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
-    if (conversation.isBlocked) return res.status(403).json({ message: 'Conversation is blocked' });
 
     const actualReceiverId = pickOtherUserId(conversation.participants, userId);
     if (!actualReceiverId) {
+      await abandon();
       return res.status(400).json({ message: 'Invalid conversation participants' });
     }
+    if (await isBlockedBetween(userId, actualReceiverId)) {
+      await abandon();
+      return res.status(403).json({ message: 'Conversation is blocked' });
+    }
 
     // ✅ NEW: ensure receiver is still active (covers conversationId path too)
     const receiverCheck2 = await validateReceiver(actualReceiverId);
     if (!receiverCheck2.valid) {
+      await abandon();
       return res.status(receiverCheck2.status).json({ message: receiverCheck2.message });
     }
 
-    const message = await Message.create({
-      conversationId: conversation._id,
-      senderId: userId,
-      receiverId: actualReceiverId,
-      content: trimmed,
-      messageType,
-    });
+    let fields = { content: moderated.content, messageType: 'text' };
+    if (attachmentId) {
+      const attachment = await claimChatAttachment({
+        attachmentId,
+        senderId: userId,
+        conversationId: conversation._id,
+      });
+      if (!attachment) {
+        await abandon();
+        return res.status(400).json({ message: 'Attachment not found or already sent' });
+      }
+      fields = attachmentMessageFields(attachment, moderated.content);
+    }
+
+    let message;
+    try {
+      message = await Message.create({
+        conversationId: conversation._id,
+        senderId: userId,
+        receiverId: actualReceiverId,
+        ...fields,
+        ...(moderated.moderation && { moderation: moderated.moderation }),
+      });
+    } catch (e) {
+      if (attachmentId) await releaseChatAttachment(attachmentId);
+      throw e;
+    }
+    opened = null;
+    if (attachmentId) await linkChatAttachment(attachmentId, message._id);
+    if (moderated.flagged) {
+      try {
+        await reportFlaggedMessage({ message, rules: moderated.moderation.rules, originalContent: trimmed });
+      } catch {
+        // best-effort; the flag is still stored on message.moderation
+      }
+    }
 
     conversation.lastMessage = {
-      content: trimmed,
+      messageId: message._id,
+      content: fields.content,
       senderId: userId,
       timestamp: new Date(),
-      messageType,
+      messageType: fields.messageType,
     };
 
     if (!conversation.unreadCount) conversation.unreadCount = new Map();
     const curr = conversation.unreadCount.get(actualReceiverId.toString()) || 0;
     conversation.unreadCount.set(actualReceiverId.toString(), curr + 1);
+    // a new message brings a deleted conversation back for both sides
+    conversation.hiddenAt = new Map();
 
     await conversation.save();
 
+    try {
+      await req.app.get('socketInstance')?.publishNewMessage(message.toObject());
+    } catch {
+      // realtime fan-out is best-effort; the message is saved
+    }
+
     // ✅ NEW: persist notification for receiver (best-effort)
     try {
-      if (messageType !== 'system') {
-        const preview = trimmed.length > 120 ? `${trimmed.slice(0, 120)}...` : trimmed;
-        await Notification.create({
-          userId: actualReceiverId,
-          type: 'new_message',
-          title: 'New message',
-          message: preview,
-          relatedUserId: userId,
-          relatedConversationId: conversation._id,
-          actionUrl: `/chat/${conversation._id}`,
-          metadata: { kind: 'chat', via: 'http', messageType },
-        });
-      }
+      const preview = fields.content.length > 120 ? `${fields.content.slice(0, 120)}...` : fields.content;
+      await notifyUser({
+        userId: actualReceiverId,
+        type: 'new_message',
+        title: 'New message',
+        message: preview,
+        relatedUserId: userId,
+        relatedConversationId: conversation._id,
+        actionUrl: `/chat/${conversation._id}`,
+        metadata: { kind: 'chat', via: 'http', messageType: fields.messageType },
+      });
     } catch {
       // ignore notification failures
     }
 
     res.status(201).json({ message });
   } catch (e) {
+    await abandon().catch(() => {});
     handleControllerError(res, e, 'Send message');
   }
 };
 
+// Upload an image, voice note or file; send it with sendMessage/send_message { attachmentId }
+export const uploadAttachment = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { conversationId } = req.params;
+
+    if (!req.file) return res.status(400).json({ message: 'File is required' });
+    const discard = () => fs.promises.unlink(req.file.path).catch(() => {});
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      await discard();
+      return res.status(400).json({ message: 'Invalid conversationId' });
+    }
+    if (!canChatAccess(req.user)) {
+      await discard();
+      return res.status(403).json({ message: 'Premium subscription required', code: 'PREMIUM_REQUIRED' });
+    }
+
+    const conversation = await Conversation.findOne({ _id: conversationId, participants: userId })
+      .select('participants')
+      .lean();
+    if (!conversation) {
+      await discard();
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const otherUserId = pickOtherUserId(conversation.participants, userId);
+    if (otherUserId && (await isBlockedBetween(userId, otherUserId))) {
+      await discard();
+      return res.status(403).json({ message: 'Conversation is blocked' });
+    }
+
+    const attachment = await createChatAttachment({
+      user: req.user,
+      conversationId: conversation._id,
+      file: req.file,
+      durationSec: req.body?.durationSec,
+    });
+
+    res.status(201).json({
+      attachment: {
+        _id: attachment._id,
+        kind: attachment.kind,
+        url: attachment.url,
+        thumbnailUrl: attachment.thumbnailUrl,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        name: attachment.name,
+        width: attachment.width,
+        height: attachment.height,
+        durationSec: attachment.durationSec,
+      },
+    });
+  } catch (e) {
+    handleControllerError(res, e, 'Upload attachment');
+  }
+};
+
 export const markAsRead = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -348,23 +517,23 @@ export const markAsRead = async (req, res) => {
       return res.status(404).json({ message: 'Conversation not found' });
     }
 
-    await Message.updateMany(
-      { conversationId, receiverId: userId, isRead: false },
-      { isRead: true, readAt: new Date() }
-    );
+    const result = await markConversationRead({ conversationId, readerId: userId });
 
     await Conversation.updateOne(
       { _id: conversationId, participants: userId },
       { $set: { [`unreadCount.${userId.toString()}`]: 0 } }
     );
 
+    await req.app.get('socketInstance')?.publishRead({ conversationId, readerId: userId, result });
+
     res.json({ message: 'Marked as read' });
   } catch (e) {
     handleControllerError(res, e, 'Mark as read');
   }
 };
 
-export const deleteMessage = async (req, res) => {
+// Edit a sent message within the edit window; previous versions are kept in editHistory
+export const editMessage = async (req, res) => {
   try {
     const userId = req.user._id;
     const { messageId } = req.params;
@@ -373,19 +542,74 @@ export const deleteMessage = async (req, res) => {
       return res.status(400).json({ message: 'Invalid messageId' });
     }
 
-    const message = await Message.findOne({ _id: messageId, senderId: userId });
+    const { message, changed } = await editMessageContent({
+      userId,
+      messageId,
+      content: req.body?.content,
+      sender: req.user,
+    });
+    if (changed) req.app.get('socketInstance')?.publishMessageEdited(message);
+
+    const { deletedFor, ...rest } = message.toObject();
+    res.json({ message: rest });
+  } catch (e) {
+    handleControllerError(res, e, 'Edit message');
+  }
+};
+
+export const getMessageHistory = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid messageId' });
+    }
+
+    // same visibility as the message list, so a cleared chat doesn't leak old edits
+    const ref = await Message.findById(messageId).select('conversationId').lean();
+    const conversation = ref && await Conversation.findOne({ _id: ref.conversationId, participants: userId })
+      .select('clearedAt')
+      .lean();
+    const message = conversation && await Message.findOne({
+      ...visibleMessagesFilter(conversation, userId),
+      _id: messageId,
+    })
+      .select('content editedAt editHistory createdAt')
+      .lean();
     if (!message) return res.status(404).json({ message: 'Message not found' });
 
-    message.isDeleted = true;
-    message.deletedAt = new Date();
-    await message.save();
+    res.json({
+      messageId: message._id,
+      content: message.content,
+      editedAt: message.editedAt || null,
+      history: message.editHistory || [],
+    });
+  } catch (e) {
+    handleControllerError(res, e, 'Get message history');
+  }
+};
+
+// ?scope=me hides it for you; ?scope=everyone unsends it (sender, time-limited)
+export const deleteMessage = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid messageId' });
+    }
+
+    const result = await deleteMessageFor({ userId, messageId, scope: req.query.scope || req.body?.scope });
+    req.app.get('socketInstance')?.publishMessageDeleted({ ...result, userId });
 
-    res.json({ message: 'Message deleted' });
+    res.json({ message: 'Message deleted', scope: result.scope });
   } catch (e) {
     handleControllerError(res, e, 'Delete message');
   }
 };
 
+// Deletes the conversation for the caller only; the other participant keeps their history
 export const deleteConversation = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -395,15 +619,8 @@ export const deleteConversation = async (req, res) => {
       return res.status(400).json({ message: 'Invalid conversationId' });
     }
 
-    const conversation = await Conversation.findOne({
-      _id: conversationId,
-      participants: userId,
-    });
-
-    if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
-
-    await Message.updateMany({ conversationId }, { isDeleted: true, deletedAt: new Date() });
-    await conversation.deleteOne();
+    const { at } = await hideConversationFor({ conversationId, userId });
+    req.app.get('socketInstance')?.publishConversationState({ userId, conversationId, hidden: true, clearedAt: at });
 
     res.json({ message: 'Conversation deleted' });
   } catch (e) {
@@ -411,6 +628,27 @@ export const deleteConversation = async (req, res) => {
   }
 };
 
+const setArchived = (archived) => async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { conversationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(400).json({ message: 'Invalid conversationId' });
+    }
+
+    const state = await setConversationArchived({ conversationId, userId, archived });
+    req.app.get('socketInstance')?.publishConversationState({ userId, conversationId, archived: state.archived });
+
+    res.json({ message: archived ? 'Conversation archived' : 'Conversation unarchived', ...state });
+  } catch (e) {
+    handleControllerError(res, e, archived ? 'Archive conversation' : 'Unarchive conversation');
+  }
+};
+
+export const archiveConversation = setArchived(true);
+export const unarchiveConversation = setArchived(false);
+
 export const getUnreadCount = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -428,6 +666,7 @@ export const getUnreadCount = async (req, res) => {
   }
 };
 
+// Kept for the chat UI; blocks live in UserBlock (see /api/blocks)
 export const blockUser = async (req, res) => {
   try {
     const userId = req.user._id;
@@ -436,27 +675,12 @@ export const blockUser = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
-
-    let conversation = await Conversation.findOne({
-      participants: { $all: [userId, targetUserId] },
-    });
-
-    if (!conversation) {
-      conversation = await Conversation.create({
-        participants: [userId, targetUserId],
-        isBlocked: true,
-        blockedBy: userId,
-        unreadCount: new Map([
-          [userId.toString(), 0],
-          [targetUserId.toString(), 0],
-        ]),
-      });
-    } else {
-      conversation.isBlocked = true;
-      conversation.blockedBy = userId;
-      await conversation.save();
+    if (targetUserId.toString() === userId.toString()) {
+      return res.status(400).json({ message: 'Cannot block yourself' });
     }
 
+    await blockUserPair({ blockerId: userId, blockedId: targetUserId, source: 'chat' });
+
     res.json({ message: 'User blocked' });
   } catch (e) {
     handleControllerError(res, e, 'Block user');
@@ -472,16 +696,7 @@ export const unblockUser = async (req, res) => {
       return res.status(400).json({ message: 'Invalid user ID' });
     }
 
-    const conversation = await Conversation.findOne({
-      participants: { $all: [userId, targetUserId] },
-      blockedBy: userId,
-    });
-
-    if (conversation) {
-      conversation.isBlocked = false;
-      conversation.blockedBy = undefined;
-      await conversation.save();
-    }
+    await unblockUserPair({ blockerId: userId, blockedId: targetUserId });
 
     res.json({ message: 'User unblocked' });
   } catch (e) {
@@ -493,15 +708,8 @@ export const getBlockedUsers = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    const conversations = await Conversation.find({
-      participants: userId,
-      isBlocked: true,
-      blockedBy: userId,
-    });
-
-    const blockedUserIds = conversations
-      .map((conv) => pickOtherUserId(conv.participants, userId))
-      .filter(Boolean);
+    const blocks = await UserBlock.find({ blockerId: userId }).select('blockedId').lean();
+    const blockedUserIds = blocks.map((b) => b.blockedId);
 
     const profiles = await Profile.find({ userId: { $in: blockedUserIds } })
       .select('fullName photos photoUrl profileId userId')
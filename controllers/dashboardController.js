@@ -3,8 +3,13 @@ import Profile from '../models/Profile.js';
 import Interest from '../models/Interest.js';
 import Conversation from '../models/Conversation.js';
 import User from '../models/User.js';
-import Notification from '../models/Notification.js'; // Ensure this model exists
+import ProfileView from '../models/ProfileView.js';
 import { handleControllerError } from '../utils/errors.js';
+import { parsePagination, formatPaginationResponse } from '../utils/pagination.js';
+import { hasPremiumAccess } from '../utils/entitlements.js';
+import { applyProfilePrivacy } from '../utils/privacy.js';
+import { getBlockedUserIds } from '../services/blockService.js';
+import { OWNER_ENTITLEMENT_FIELDS } from '../services/incognitoService.js';
 
 export const getDashboardSummary = async (req, res) => {
   try {
@@ -68,28 +73,99 @@ export const getDashboardSummary = async (req, res) => {
   }
 };
 
+// Free members only see their most recent few visitors; full history is premium
+const FREE_VISITOR_PREVIEW = 3;
+
 export const getRecentVisitors = async (req, res) => {
   try {
     const userId = req.user._id;
-    // Basic implementation: fetch notifications of type 'profile_view'
-    // In a real app, you might have a dedicated 'Visitor' model
-    const visits = await Notification.find({ 
-      userId, 
-      type: 'profile_view' 
-    })
-    .sort({ createdAt: -1 })
-    .limit(5)
-    .populate('relatedUserId', 'fullName') // Assuming User model has fullName, else use Profile lookups
-    .lean();
-
-    // Since User model usually doesn't have photos, we might need to fetch profiles manually
-    // But for a quick widget, just names might suffice or we enhance this later.
-    
+    const isPremium = hasPremiumAccess(req.user);
+    let { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+    if (!isPremium) {
+      page = 1;
+      skip = 0;
+      limit = FREE_VISITOR_PREVIEW;
+    }
+
+    // blocked either way: their visits are neither listed nor counted
+    const blockedUserIds = await getBlockedUserIds(userId);
+    const visits = { viewedUserId: userId, viewerId: { $nin: blockedUserIds } };
+
+    // one row per visitor, most recent visit first (incognito visits are only counted)
+    const [rows, countRows, anonymousVisits] = await Promise.all([
+      ProfileView.aggregate([
+        { $match: { ...visits, isAnonymous: { $ne: true } } },
+        {
+          $group: {
+            _id: '$viewerId',
+            lastViewedAt: { $max: '$viewedAt' },
+            visits: { $sum: '$viewCount' },
+          },
+        },
+        { $sort: { lastViewedAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+      ]),
+      ProfileView.aggregate([
+        { $match: { ...visits, isAnonymous: { $ne: true } } },
+        { $group: { _id: '$viewerId' } },
+        { $count: 'total' },
+      ]),
+      ProfileView.countDocuments({ ...visits, isAnonymous: true }),
+    ]);
+
+    const total = countRows[0]?.total || 0;
+    const visitorIds = rows.map((r) => r._id);
+
+    const [profiles, owners, matchEdges] = await Promise.all([
+      Profile.find({ userId: { $in: visitorIds } })
+        .select('userId profileId fullName age gender city country occupation photos privacySettings isAgencyManaged')
+        .lean(),
+      User.find({ _id: { $in: visitorIds } }).select(OWNER_ENTITLEMENT_FIELDS).lean(),
+      Interest.find({
+        status: 'accepted',
+        $or: [
+          { senderId: userId, receiverId: { $in: visitorIds } },
+          { receiverId: userId, senderId: { $in: visitorIds } },
+        ],
+      })
+        .select('senderId receiverId')
+        .lean(),
+    ]);
+
+    const profileByUserId = new Map(profiles.map((p) => [p.userId.toString(), p]));
+    const ownerById = new Map(owners.map((u) => [u._id.toString(), u]));
+    const matchSet = new Set(
+      matchEdges.map((e) => (e.senderId.toString() === userId.toString() ? e.receiverId : e.senderId).toString())
+    );
+
+    const visitors = rows.map((row) => {
+      const profile = profileByUserId.get(row._id.toString());
+      const base = { userId: row._id, lastViewedAt: row.lastViewedAt, visits: row.visits };
+      if (!profile) return { ...base, profile: null };
+
+      const mainPhoto = profile.photos?.find((p) => p.isProfile) || profile.photos?.[0];
+      const safe = applyProfilePrivacy({
+        viewer: req.user,
+        profile: { ...profile, photoUrl: mainPhoto?.url || null },
+        owner: ownerById.get(row._id.toString()),
+        isMatch: matchSet.has(row._id.toString()),
+      });
+      delete safe.privacySettings;
+      delete safe.photos;
+
+      return { ...base, profile: safe };
+    });
+
     res.json({
       success: true,
-      visitors: visits
+      visitors,
+      anonymousVisits,
+      isLimited: !isPremium,
+      pagination: formatPaginationResponse(total, page, isPremium ? limit : Math.max(total, 1)),
     });
   } catch (error) {
     handleControllerError(res, error, 'Dashboard Visitors');
   }
-};
\ No newline at end of file
+};
@@ -4,15 +4,37 @@ import Interest from '../models/Interest.js';
 import Shortlist from '../models/Shortlist.js';
 import Profile from '../models/Profile.js';
 import User from '../models/User.js';
-import Notification from '../models/Notification.js';
-import { handleControllerError } from '../utils/errors.js';
-import { parsePagination, formatPaginationResponse } from '../utils/pagination.js';
-import { LIMITS } from '../utils/constants.js';
+import { notifyUser } from '../services/notificationService.js';
+import { handleControllerError, ConflictError } from '../utils/errors.js';
+import { paginateFind } from '../utils/pagination.js';
+import { blockUser as blockUserPair, isBlockedBetween } from '../services/blockService.js';
+import { consumeQuota, releaseQuota } from '../services/quotaService.js';
+import { useSuperInterest, refundSuperInterest } from '../services/superInterestService.js';
+import { LIMITS, INTEREST_EXPIRY } from '../utils/constants.js';
+import {
+  TEMPLATE_PROFILE_FIELDS,
+  findTemplate,
+  pickTemplateVariables,
+  renderTemplate,
+  resolveTemplateLanguage,
+  suggestInterestTemplates,
+  templateVariableOptions,
+} from '../utils/interestTemplates.js';
+
+// Templated messages are re-rendered in the reader's language; free text is returned as written
+const localizedMessage = (interest, lang) => {
+  const template = interest.templateId && findTemplate(interest.templateId);
+  if (!template || !interest.templateVariables) return interest.message;
+  return renderTemplate(template, lang, interest.templateVariables);
+};
+
+// lapsed interests the sender may send again
+const RESENDABLE_STATUSES = ['expired', 'withdrawn'];
 
 // Send interest
 export const sendInterest = async (req, res) => {
   try {
-    const { receiverId, message } = req.body;
+    const { receiverId, message, templateId, variables, superInterest } = req.body;
     const senderId = req.user._id;
 
     if (!receiverId) return res.status(400).json({ message: 'Receiver ID required' });
@@ -24,23 +46,22 @@ export const sendInterest = async (req, res) => {
     if (message && message.length > LIMITS.MAX_INTEREST_MESSAGE) {
       return res.status(400).json({ message: `Message too long (max ${LIMITS.MAX_INTEREST_MESSAGE} characters)` });
     }
+    if (templateId && message?.trim()) {
+      return res.status(400).json({ message: 'Send either a message or a templateId, not both' });
+    }
 
     const receiverExists = await User.exists({ _id: receiverId });
     if (!receiverExists) return res.status(404).json({ message: 'User not found' });
 
-    // Check if receiver has blocked sender (reverse direction)
-    const blockedByReceiver = await Interest.findOne({
-      senderId: receiverId,
-      receiverId: senderId,
-      status: 'blocked',
-    }).lean();
-
-    if (blockedByReceiver) {
+    // Blocked in either direction
+    if (await isBlockedBetween(senderId, receiverId)) {
       return res.status(403).json({ message: 'Cannot send interest to this user' });
     }
 
+    // one Interest per pair (unique index): an expired or withdrawn one is re-sent in place
     const existing = await Interest.findOne({ senderId, receiverId }).lean();
-    if (existing) {
+    const resend = existing && RESENDABLE_STATUSES.includes(existing.status);
+    if (existing && !resend) {
       return res.status(400).json({
         message: 'Interest already sent',
         status: existing.status,
@@ -49,41 +70,136 @@ export const sendInterest = async (req, res) => {
     }
 
     const [senderProfile, receiverProfile] = await Promise.all([
-      Profile.findOne({ userId: senderId }).select('_id fullName').lean(),
-      Profile.findOne({ userId: receiverId }).select('_id fullName').lean(),
+      Profile.findOne({ userId: senderId }).select(`_id ${TEMPLATE_PROFILE_FIELDS}`).lean(),
+      Profile.findOne({ userId: receiverId }).select(`_id ${TEMPLATE_PROFILE_FIELDS}`).lean(),
     ]);
 
-    const interest = await Interest.create({
-      senderId,
-      receiverId,
-      senderProfileId: senderProfile?._id,
-      receiverProfileId: receiverProfile?._id,
-      message: message?.trim(),
-    });
+    // Templated message, rendered in the sender's language from both profiles
+    let content = { message: message?.trim() };
+    if (templateId) {
+      const template = findTemplate(templateId);
+      if (!template) return res.status(400).json({ message: 'Unknown template', code: 'INVALID_TEMPLATE' });
+
+      const lang = resolveTemplateLanguage(req.user.preferredLanguage);
+      const options = templateVariableOptions(senderProfile || {}, receiverProfile || {});
+      const templateVariables = pickTemplateVariables(template, options, variables);
+      if (!templateVariables) {
+        return res.status(400).json({
+          message: 'This template does not apply to this profile',
+          code: 'TEMPLATE_NOT_APPLICABLE',
+        });
+      }
+
+      content = {
+        message: renderTemplate(template, lang, templateVariables),
+        templateId,
+        templateVariables,
+        templateLanguage: lang,
+      };
+    }
+
+    const quota = await consumeQuota(req.user, 'interestsPerDay');
+
+    let interest;
+    let superInterestSource = null;
+    try {
+      if (superInterest === true) superInterestSource = await useSuperInterest(req.user);
+
+      const fields = {
+        senderProfileId: senderProfile?._id,
+        receiverProfileId: receiverProfile?._id,
+        ...content,
+        isSuperInterest: Boolean(superInterestSource),
+        superInterestSource,
+      };
+
+      if (resend) {
+        const now = new Date();
+        interest = await Interest.findOneAndUpdate(
+          { _id: existing._id, status: existing.status },
+          {
+            $set: {
+              templateId: null,
+              templateLanguage: null,
+              ...fields,
+              message: content.message || null,
+              status: 'pending',
+              createdAt: now,
+              updatedAt: now,
+              expiresAt: new Date(now.getTime() + INTEREST_EXPIRY.EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+            },
+            $unset: {
+              respondedAt: 1,
+              reminderSentAt: 1,
+              expiredAt: 1,
+              declineReason: 1,
+              ...(!content.templateVariables && { templateVariables: 1 }),
+            },
+          },
+          { new: true, runValidators: true }
+        );
+        if (!interest) throw new ConflictError('Interest already sent');
+      } else {
+        interest = await Interest.create({ senderId, receiverId, ...fields });
+      }
+    } catch (e) {
+      await releaseQuota(req.user, 'interestsPerDay');
+      if (superInterestSource) await refundSuperInterest(req.user, superInterestSource);
+      throw e;
+    }
 
     // ✅ Notification to receiver (best effort)
     try {
-      await Notification.create({
+      const senderName = senderProfile?.fullName || 'Someone';
+      await notifyUser({
         userId: receiverId,
-        type: 'interest_received',
-        title: 'New interest received',
-        message: `${senderProfile?.fullName || 'Someone'} sent you an interest.`,
+        type: interest.isSuperInterest ? 'super_interest_received' : 'interest_received',
+        title: interest.isSuperInterest ? 'Super interest received' : 'New interest received',
+        message: interest.isSuperInterest
+          ? `${senderName} is especially interested in you and sent a super interest.`
+          : `${senderName} sent you an interest.`,
         relatedUserId: senderId,
         relatedProfileId: senderProfile?._id,
         relatedInterestId: interest._id,
         actionUrl: '/interests',
-        metadata: { status: 'pending' },
+        metadata: { status: 'pending', isSuperInterest: interest.isSuperInterest },
       });
     } catch {
       // ignore
     }
 
-    res.status(201).json({ message: 'Interest sent successfully', interest });
+    res.status(201).json({ message: 'Interest sent successfully', interest, quota });
   } catch (e) {
     handleControllerError(res, e, 'Send interest');
   }
 };
 
+// Icebreaker templates for a receiver, filled from both profiles
+export const getInterestTemplates = async (req, res) => {
+  try {
+    const senderId = req.user._id;
+    const { receiverId } = req.query;
+
+    if (senderId.toString() === String(receiverId)) {
+      return res.status(400).json({ message: 'Cannot send interest to yourself' });
+    }
+
+    const [senderProfile, receiverProfile, blocked] = await Promise.all([
+      Profile.findOne({ userId: senderId }).select(TEMPLATE_PROFILE_FIELDS).lean(),
+      Profile.findOne({ userId: receiverId }).select(TEMPLATE_PROFILE_FIELDS).lean(),
+      isBlockedBetween(senderId, receiverId),
+    ]);
+    if (!receiverProfile || blocked) return res.status(404).json({ message: 'Profile not found' });
+
+    const lang = resolveTemplateLanguage(req.query.lang || req.user.preferredLanguage);
+    const templates = suggestInterestTemplates({ senderProfile: senderProfile || {}, receiverProfile, lang });
+
+    res.json({ language: lang, templates });
+  } catch (e) {
+    handleControllerError(res, e, 'Get interest templates');
+  }
+};
+
 // Accept interest
 export const acceptInterest = async (req, res) => {
   try {
@@ -112,7 +228,7 @@ export const acceptInterest = async (req, res) => {
     // ✅ Notification to sender (best effort)
     try {
       const receiverProfile = await Profile.findOne({ userId: interest.receiverId }).select('_id fullName').lean();
-      await Notification.create({
+      await notifyUser({
         userId: interest.senderId,
         type: 'interest_accepted',
         title: 'Interest accepted',
@@ -163,7 +279,7 @@ export const declineInterest = async (req, res) => {
     // ✅ Notification to sender (best effort)
     try {
       const receiverProfile = await Profile.findOne({ userId: interest.receiverId }).select('_id fullName').lean();
-      await Notification.create({
+      await notifyUser({
         userId: interest.senderId,
         type: 'interest_declined',
         title: 'Interest declined',
@@ -203,6 +319,8 @@ export const blockInterest = async (req, res) => {
     interest.respondedAt = new Date();
     await interest.save();
 
+    await blockUserPair({ blockerId: userId, blockedId: interest.senderId, source: 'interest' });
+
     res.json({ message: 'User blocked', interest });
   } catch (e) {
     handleControllerError(res, e, 'Block interest');
@@ -242,24 +360,23 @@ export const getInterestsSent = async (req, res) => {
   try {
     const userId = req.user._id;
     const { status } = req.query;
-    const { page, limit, skip } = parsePagination(req.query);
 
     const query = { senderId: userId };
     if (status && status !== 'all') query.status = status;
 
-    const [interests, total] = await Promise.all([
-      Interest.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate({ path: 'receiverProfileId', select: 'fullName photos profileId age city occupation' })
-        .lean(),
-      Interest.countDocuments(query),
-    ]);
+    const { items: interests, pagination } = await paginateFind(Interest, query, req.query, {
+      decorate: (q) =>
+        q.populate({ path: 'receiverProfileId', select: 'fullName photos profileId age city occupation' }),
+    });
 
-    const formatted = interests.map((interest) => ({ ...interest, receiverProfile: interest.receiverProfileId }));
+    const lang = resolveTemplateLanguage(req.user.preferredLanguage);
+    const formatted = interests.map((interest) => ({
+      ...interest,
+      receiverProfile: interest.receiverProfileId,
+      localizedMessage: localizedMessage(interest, lang),
+    }));
 
-    res.json({ interests: formatted, pagination: formatPaginationResponse(total, page, limit) });
+    res.json({ interests: formatted, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get sent interests');
   }
@@ -270,24 +387,34 @@ export const getInterestsReceived = async (req, res) => {
   try {
     const userId = req.user._id;
     const { status } = req.query;
-    const { page, limit, skip } = parsePagination(req.query);
 
-    const query = { receiverId: userId };
-    if (status && status !== 'all') query.status = status;
+    // expired interests are archived out of the inbox unless asked for explicitly
+    const query = { receiverId: userId, status: { $ne: 'expired' } };
+    if (status === 'all') delete query.status;
+    else if (status) query.status = status;
+
+    const senderPopulate = { path: 'senderProfileId', select: 'fullName photos profileId age city occupation' };
+    const firstPage = !req.query.after && !req.query.before && (Number(req.query.page) || 1) === 1;
+
+    // pending super interests are pinned above the paginated list (first page only)
+    const pinnedQuery = { $and: [query, { isSuperInterest: true, status: 'pending' }] };
+    const listQuery = { $and: [query, { $nor: [{ isSuperInterest: true, status: 'pending' }] }] };
 
-    const [interests, total] = await Promise.all([
-      Interest.find(query)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate({ path: 'senderProfileId', select: 'fullName photos profileId age city occupation' })
-        .lean(),
-      Interest.countDocuments(query),
+    const [{ items: interests, pagination }, pinned] = await Promise.all([
+      paginateFind(Interest, listQuery, req.query, { decorate: (q) => q.populate(senderPopulate) }),
+      firstPage
+        ? Interest.find(pinnedQuery).sort({ createdAt: -1 }).limit(LIMITS.MAX_LIMIT).populate(senderPopulate).lean()
+        : [],
     ]);
 
-    const formatted = interests.map((interest) => ({ ...interest, senderProfile: interest.senderProfileId }));
+    const lang = resolveTemplateLanguage(req.user.preferredLanguage);
+    const format = (interest) => ({
+      ...interest,
+      senderProfile: interest.senderProfileId,
+      localizedMessage: localizedMessage(interest, lang),
+    });
 
-    res.json({ interests: formatted, pagination: formatPaginationResponse(total, page, limit) });
+    res.json({ pinned: pinned.map(format), interests: interests.map(format), pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get received interests');
   }
@@ -297,8 +424,6 @@ export const getInterestsReceived = async (req, res) => {
 export const getAcceptedInterests = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page, limit, skip } = parsePagination(req.query);
-
     const query = {
       $or: [
         { senderId: userId, status: 'accepted' },
@@ -306,18 +431,15 @@ export const getAcceptedInterests = async (req, res) => {
       ],
     };
 
-    const [interests, total] = await Promise.all([
-      Interest.find(query)
-        .sort({ respondedAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('senderProfileId', 'fullName photos profileId age city')
-        .populate('receiverProfileId', 'fullName photos profileId age city')
-        .lean(),
-      Interest.countDocuments(query),
-    ]);
+    const { items: interests, pagination } = await paginateFind(Interest, query, req.query, {
+      sortField: 'respondedAt',
+      decorate: (q) =>
+        q
+          .populate('senderProfileId', 'fullName photos profileId age city')
+          .populate('receiverProfileId', 'fullName photos profileId age city'),
+    });
 
-    res.json({ interests, pagination: formatPaginationResponse(total, page, limit) });
+    res.json({ interests, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get accepted interests');
   }
@@ -327,21 +449,14 @@ export const getAcceptedInterests = async (req, res) => {
 export const getDeclinedInterests = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page, limit, skip } = parsePagination(req.query);
-
     const query = { receiverId: userId, status: 'declined' };
 
-    const [interests, total] = await Promise.all([
-      Interest.find(query)
-        .sort({ respondedAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('senderProfileId', 'fullName photos profileId')
-        .lean(),
-      Interest.countDocuments(query),
-    ]);
+    const { items: interests, pagination } = await paginateFind(Interest, query, req.query, {
+      sortField: 'respondedAt',
+      decorate: (q) => q.populate('senderProfileId', 'fullName photos profileId'),
+    });
 
-    res.json({ interests, pagination: formatPaginationResponse(total, page, limit) });
+    res.json({ interests, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get declined interests');
   }
@@ -351,24 +466,17 @@ export const getDeclinedInterests = async (req, res) => {
 export const getMutualInterests = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page, limit, skip } = parsePagination(req.query);
-
     const sentInterests = await Interest.find({ senderId: userId, status: 'accepted' }).select('receiverId').lean();
     const receiverIds = sentInterests.map((i) => i.receiverId);
 
     const mutualQuery = { senderId: { $in: receiverIds }, receiverId: userId, status: 'accepted' };
 
-    const [interests, total] = await Promise.all([
-      Interest.find(mutualQuery)
-        .sort({ respondedAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate('senderProfileId', 'fullName photos profileId age city')
-        .lean(),
-      Interest.countDocuments(mutualQuery),
-    ]);
+    const { items: interests, pagination } = await paginateFind(Interest, mutualQuery, req.query, {
+      sortField: 'respondedAt',
+      decorate: (q) => q.populate('senderProfileId', 'fullName photos profileId age city'),
+    });
 
-    res.json({ interests, pagination: formatPaginationResponse(total, page, limit) });
+    res.json({ interests, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get mutual interests');
   }
@@ -404,19 +512,12 @@ export const getInterestStatus = async (req, res) => {
 export const getShortlist = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page, limit, skip } = parsePagination(req.query);
-
-    const [shortlist, total] = await Promise.all([
-      Shortlist.find({ userId })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate({ path: 'shortlistedProfileId', select: 'fullName photos profileId age city occupation' })
-        .lean(),
-      Shortlist.countDocuments({ userId }),
-    ]);
+    const { items: shortlist, pagination } = await paginateFind(Shortlist, { userId }, req.query, {
+      decorate: (q) =>
+        q.populate({ path: 'shortlistedProfileId', select: 'fullName photos profileId age city occupation' }),
+    });
 
-    res.json({ shortlist, pagination: formatPaginationResponse(total, page, limit) });
+    res.json({ shortlist, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get shortlist');
   }
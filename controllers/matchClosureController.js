@@ -0,0 +1,218 @@
+// ===== FILE: ./controllers/matchClosureController.js =====
+import mongoose from 'mongoose';
+import MatchClosure from '../models/MatchClosure.js';
+import Profile from '../models/Profile.js';
+import { notifyMember } from '../services/notificationService.js';
+import { isBlockedBetween } from '../services/blockService.js';
+import { finalizeMatchClosure } from '../services/matchClosureService.js';
+import { resolveActingUserId } from '../services/actingUserService.js';
+import { isMatchBetween } from '../utils/relationship.js';
+import { handleControllerError } from '../utils/errors.js';
+import { paginateFind } from '../utils/pagination.js';
+
+const STATUS_LABEL = { engaged: 'engaged', married: 'married' };
+
+// best effort; agency-managed members also notify their agency
+const notifyClosure = async (userId, data) => {
+  try {
+    await notifyMember({ userId, type: 'match_closure', actionUrl: '/partner-confirmation', ...data });
+  } catch {
+    // ignore
+  }
+};
+
+const nameOf = async (userId) => {
+  const profile = await Profile.findOne({ userId }).select('_id fullName').lean();
+  return { profileId: profile?._id, name: profile?.fullName || 'Your match' };
+};
+
+// POST /api/match-closures
+export const proposeClosure = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const { partnerId, relationshipStatus, story, shareStory } = req.body;
+
+    if (partnerId.toString() === actorId.toString()) {
+      return res.status(400).json({ message: 'Cannot confirm yourself as a partner' });
+    }
+
+    const [matched, blocked] = await Promise.all([
+      isMatchBetween(actorId, partnerId),
+      isBlockedBetween(actorId, partnerId),
+    ]);
+    if (!matched || blocked) {
+      return res.status(403).json({
+        message: 'You can only confirm a partner you are matched with',
+        code: 'NOT_MATCHED',
+      });
+    }
+
+    const pair = [actorId, new mongoose.Types.ObjectId(String(partnerId))];
+    const active = await MatchClosure.exists({
+      status: { $in: ['pending', 'confirmed'] },
+      $or: [{ proposerId: { $in: pair } }, { partnerId: { $in: pair } }],
+    });
+    if (active) {
+      return res.status(409).json({
+        message: 'A partner confirmation already exists for one of you',
+        code: 'CLOSURE_EXISTS',
+      });
+    }
+
+    const closure = await MatchClosure.create({
+      proposerId: actorId,
+      partnerId,
+      relationshipStatus,
+      story: story?.trim() || null,
+      proposerSharesStory: Boolean(shareStory && story?.trim()),
+    });
+
+    const proposer = await nameOf(actorId);
+    await notifyClosure(partnerId, {
+      title: 'Please confirm your partner',
+      message: `${proposer.name} says you are ${STATUS_LABEL[relationshipStatus]}. Please confirm.`,
+      relatedUserId: actorId,
+      relatedProfileId: proposer.profileId,
+      metadata: { matchClosureId: closure._id, status: 'pending' },
+    });
+
+    res.status(201).json({ success: true, closure });
+  } catch (e) {
+    handleControllerError(res, e, 'Propose partner confirmation');
+  }
+};
+
+// GET /api/match-closures
+export const listClosures = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+
+    const { items, pagination } = await paginateFind(
+      MatchClosure,
+      { $or: [{ proposerId: actorId }, { partnerId: actorId }] },
+      req.query
+    );
+
+    const otherIds = items.map((c) => (c.proposerId.toString() === actorId.toString() ? c.partnerId : c.proposerId));
+    const profiles = await Profile.find({ userId: { $in: otherIds } })
+      .select('userId fullName photos profileId')
+      .lean();
+    const profileByUserId = new Map(profiles.map((p) => [p.userId.toString(), p]));
+
+    const closures = items.map((c, i) => ({
+      ...c,
+      role: c.proposerId.toString() === actorId.toString() ? 'proposer' : 'partner',
+      partnerProfile: profileByUserId.get(otherIds[i].toString()) || null,
+    }));
+
+    res.json({ success: true, closures, pagination });
+  } catch (e) {
+    handleControllerError(res, e, 'List partner confirmations');
+  }
+};
+
+const loadPending = async (req, res) => {
+  const closure = await MatchClosure.findById(req.params.id);
+  if (!closure) {
+    res.status(404).json({ message: 'Partner confirmation not found' });
+    return null;
+  }
+  if (closure.status !== 'pending') {
+    res.status(400).json({ message: `Partner confirmation already ${closure.status}`, status: closure.status });
+    return null;
+  }
+  return closure;
+};
+
+// POST /api/match-closures/:id/confirm
+export const confirmClosure = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const closure = await loadPending(req, res);
+    if (!closure) return;
+
+    if (closure.partnerId.toString() !== actorId.toString()) {
+      return res.status(403).json({ message: 'Only the invited partner can confirm' });
+    }
+
+    const { story, shareStory } = req.body;
+    if (!closure.story && story?.trim()) closure.story = story.trim();
+    closure.partnerSharesStory = Boolean(shareStory && closure.story);
+    closure.status = 'confirmed';
+    closure.respondedAt = new Date();
+    await closure.save();
+
+    const result = await finalizeMatchClosure(closure);
+
+    const partner = await nameOf(actorId);
+    await notifyClosure(closure.proposerId, {
+      title: 'Partner confirmed',
+      message: `${partner.name} confirmed you are ${STATUS_LABEL[closure.relationshipStatus]}. Congratulations!`,
+      relatedUserId: actorId,
+      relatedProfileId: partner.profileId,
+      metadata: { matchClosureId: closure._id, status: 'confirmed' },
+    });
+
+    res.json({
+      success: true,
+      closure,
+      withdrawnInterests: result.withdrawnInterests,
+      successStoryId: closure.successStoryId,
+    });
+  } catch (e) {
+    handleControllerError(res, e, 'Confirm partner');
+  }
+};
+
+// POST /api/match-closures/:id/decline
+export const declineClosure = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const closure = await loadPending(req, res);
+    if (!closure) return;
+
+    if (closure.partnerId.toString() !== actorId.toString()) {
+      return res.status(403).json({ message: 'Only the invited partner can decline' });
+    }
+
+    closure.status = 'declined';
+    closure.respondedAt = new Date();
+    await closure.save();
+
+    const partner = await nameOf(actorId);
+    await notifyClosure(closure.proposerId, {
+      title: 'Partner confirmation declined',
+      message: `${partner.name} did not confirm the partner request.`,
+      relatedUserId: actorId,
+      relatedProfileId: partner.profileId,
+      metadata: { matchClosureId: closure._id, status: 'declined' },
+    });
+
+    res.json({ success: true, closure });
+  } catch (e) {
+    handleControllerError(res, e, 'Decline partner confirmation');
+  }
+};
+
+// DELETE /api/match-closures/:id
+export const cancelClosure = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const closure = await loadPending(req, res);
+    if (!closure) return;
+
+    if (closure.proposerId.toString() !== actorId.toString()) {
+      return res.status(403).json({ message: 'Only the proposer can cancel' });
+    }
+
+    closure.status = 'cancelled';
+    closure.respondedAt = new Date();
+    await closure.save();
+
+    res.json({ success: true, closure });
+  } catch (e) {
+    handleControllerError(res, e, 'Cancel partner confirmation');
+  }
+};
+
+export default { proposeClosure, listClosures, confirmClosure, declineClosure, cancelClosure };
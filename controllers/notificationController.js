@@ -1,7 +1,8 @@
 import mongoose from 'mongoose';
 import Notification from '../models/Notification.js';
 import { handleControllerError } from '../utils/errors.js';
-import { parsePagination, formatPaginationResponse } from '../utils/pagination.js';
+import { paginateFind } from '../utils/pagination.js';
+import { getBlockedUserIds } from '../services/blockService.js';
 
 function parseReadQuery(read) {
   if (read === undefined) return undefined;
@@ -14,25 +15,26 @@ function parseReadQuery(read) {
 export const getNotifications = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { page, limit, skip } = parsePagination(req.query);
     const { type } = req.query;
     const read = parseReadQuery(req.query.read);
 
+    // hide anything still referencing a user on either side of a block
+    const blockedUserIds = await getBlockedUserIds(userId);
     const filter = { userId };
+    if (blockedUserIds.length) filter.relatedUserId = { $nin: blockedUserIds };
     if (type) filter.type = type;
     if (read !== undefined) filter.read = read;
 
-    const [notifications, total, unreadCount] = await Promise.all([
-      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
-      Notification.countDocuments(filter),
-      Notification.countDocuments({ userId, read: false }),
+    const [{ items: notifications, pagination }, unreadCount] = await Promise.all([
+      paginateFind(Notification, filter, req.query),
+      Notification.countDocuments({
+        userId,
+        read: false,
+        ...(blockedUserIds.length && { relatedUserId: { $nin: blockedUserIds } }),
+      }),
     ]);
 
-    res.json({
-      notifications,
-      unreadCount,
-      pagination: formatPaginationResponse(total, page, limit),
-    });
+    res.json({ notifications, unreadCount, pagination });
   } catch (e) {
     handleControllerError(res, e, 'Get notifications');
   }
@@ -109,6 +109,33 @@ async function activateSubscriptionForPayment(payment) {
   return sub;
 }
 
+// Per-use purchases (not subscriptions) credited to the buyer
+async function fulfillSuperInterestPayment(payment) {
+  if (payment?.metadata?.kind !== 'super_interest') return null;
+
+  const quantity = Math.max(1, Number(payment.metadata.quantity) || 1);
+  const user = await User.findByIdAndUpdate(
+    payment.userId,
+    { $inc: { superInterestCredits: quantity } },
+    { new: true }
+  ).select('superInterestCredits');
+
+  try {
+    await Notification.create({
+      userId: payment.userId,
+      type: 'subscription',
+      title: 'Super interests added',
+      message: `${quantity} super interest${quantity === 1 ? '' : 's'} added to your account.`,
+      actionUrl: '/interests',
+      metadata: { plan: payment.plan, quantity, credits: user?.superInterestCredits },
+    });
+  } catch {
+    // ignore
+  }
+
+  return user;
+}
+
 // PayHere sends x-www-form-urlencoded
 export async function payhereNotify(req, res) {
   try {
@@ -157,6 +184,12 @@ export async function payhereNotify(req, res) {
       } catch {
         // If activation fails, keep payment succeeded, user can verify/poll later (or admin can inspect)
       }
+
+      try {
+        await fulfillSuperInterestPayment(payment);
+      } catch {
+        // same as above: payment stays succeeded for manual follow-up
+      }
     } else if (status === -1) {
       payment.status = 'cancelled';
     } else {
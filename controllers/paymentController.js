@@ -6,6 +6,7 @@ import Profile from '../models/Profile.js';
 import { handleControllerError } from '../utils/errors.js';
 import { parsePagination, formatPaginationResponse } from '../utils/pagination.js';
 import { hasPremiumAccess } from '../utils/entitlements.js';
+import { consumeQuota, releaseQuota } from '../services/quotaService.js';
 
 // Helper to check if user has unlocked a contact
 const hasUnlocked = (user, targetUserId) =>
@@ -38,13 +39,20 @@ export const unlockContact = async (req, res) => {
       return res.status(400).json({ message: 'Contact already unlocked', code: 'ALREADY_UNLOCKED' });
     }
 
-    // Premium users get free unlocks
+    // Premium users get free unlocks, up to their plan's monthly quota
     if (hasPremiumAccess(user)) {
-      await User.findByIdAndUpdate(userId, { $addToSet: { contactsUnlocked: targetUserId } });
+      const quota = await consumeQuota(req.user, 'contactUnlocksPerMonth');
+      try {
+        await User.findByIdAndUpdate(userId, { $addToSet: { contactsUnlocked: targetUserId } });
+      } catch (e) {
+        await releaseQuota(req.user, 'contactUnlocksPerMonth');
+        throw e;
+      }
       return res.json({
         message: 'Contact unlocked (premium benefit)',
         isPremiumUnlock: true,
         targetUserId,
+        quota,
       });
     }
 
@@ -62,24 +70,32 @@ export const unlockContact = async (req, res) => {
 
     const cleanAmount = Math.max(0, Number(amount) || 0);
 
-        // DEV/Mock payment record
-    const payment = await Payment.create({
-      userId,
-      amount: cleanAmount,
-      currency: 'LKR',
-      plan: 'contact_unlock',
-      status: 'succeeded',
-      // ✅ FIX: Set gateway to 'mock' not default 'payhere'
-      gateway: 'mock',
-      description: 'Contact unlock (mock/dev)',
-      metadata: {
-        targetUserId,
-      },
-    });
-    
-    await User.findByIdAndUpdate(userId, {
-      $addToSet: { contactsUnlocked: targetUserId },
-    });
+    const quota = await consumeQuota(req.user, 'contactUnlocksPerMonth');
+
+    let payment;
+    try {
+      // DEV/Mock payment record
+      payment = await Payment.create({
+        userId,
+        amount: cleanAmount,
+        currency: 'LKR',
+        plan: 'contact_unlock',
+        status: 'succeeded',
+        // ✅ FIX: Set gateway to 'mock' not default 'payhere'
+        gateway: 'mock',
+        description: 'Contact unlock (mock/dev)',
+        metadata: {
+          targetUserId,
+        },
+      });
+
+      await User.findByIdAndUpdate(userId, {
+        $addToSet: { contactsUnlocked: targetUserId },
+      });
+    } catch (e) {
+      await releaseQuota(req.user, 'contactUnlocksPerMonth');
+      throw e;
+    }
 
     res.status(201).json({
       message: 'Contact unlocked successfully',
@@ -90,6 +106,7 @@ export const unlockContact = async (req, res) => {
         status: payment.status,
       },
       targetUserId,
+      quota,
     });
   } catch (e) {
     handleControllerError(res, e, 'Unlock contact');
@@ -3,7 +3,11 @@ import mongoose from 'mongoose';
 import Profile from '../models/Profile.js';
 import User from '../models/User.js';
 import Interest from '../models/Interest.js';
-import { applyProfilePrivacy } from '../utils/privacy.js';
+import { applyProfilePrivacy, isIncognitoProfile, isIncognitoActive } from '../utils/privacy.js';
+import { hasPremiumAccess } from '../utils/entitlements.js';
+import { recordProfileView } from '../services/profileViewService.js';
+import { OWNER_ENTITLEMENT_FIELDS } from '../services/incognitoService.js';
+import { isBlockedBetween } from '../services/blockService.js';
 import { LIMITS } from '../utils/constants.js';
 
 // ==================== HELPER FUNCTIONS ====================
@@ -135,6 +139,12 @@ const isMatchWith = async (viewerId, otherUserId) => {
   return !!exists;
 };
 
+// incognito owners stay visible to anyone they already sent an interest to
+const hasContacted = async (ownerId, viewerId) => {
+  if (!ownerId || !viewerId) return false;
+  return !!(await Interest.exists({ senderId: ownerId, receiverId: viewerId }));
+};
+
 // ==================== PROFILE CRUD ====================
 
 export const getMyProfile = async (req, res) => {
@@ -308,6 +318,8 @@ export const createProfile = async (req, res) => {
         showIncome: Boolean(privacySettings.showIncome),
         photoVisibility: privacySettings.photoVisibility || 'all',
         profileVisibility: privacySettings.profileVisibility || 'all',
+        incognito: false,
+        readReceipts: privacySettings.readReceipts !== false,
       };
     }
 
@@ -426,6 +438,12 @@ export const updateProfile = async (req, res) => {
               showIncome: Boolean(value.showIncome),
               photoVisibility: value.photoVisibility || profile.privacySettings?.photoVisibility || 'all',
               profileVisibility: value.profileVisibility || profile.privacySettings?.profileVisibility || 'all',
+              // incognito is premium-gated; only /privacy-settings may change it
+              incognito: profile.privacySettings?.incognito === true,
+              readReceipts:
+                value.readReceipts !== undefined
+                  ? value.readReceipts !== false
+                  : profile.privacySettings?.readReceipts !== false,
             };
           }
           break;
@@ -543,7 +561,19 @@ export const getProfileById = async (req, res) => {
 
     const viewer = await getViewerUserDoc(req);
     const profileOwnerId = profile.userId?._id || profile.userId;
+
+    // blocked either way: behave as if the profile doesn't exist
+    if (viewer?._id && (await isBlockedBetween(viewer._id, profileOwnerId))) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+    // lapsed incognito (premium ended) no longer hides the profile
+    const owner = isIncognitoProfile(profile)
+      ? await User.findById(profileOwnerId).select(OWNER_ENTITLEMENT_FIELDS).lean()
+      : null;
+
     const match = viewer?._id ? await isMatchWith(viewer._id, profileOwnerId) : false;
+    const contactedViewer =
+      isIncognitoActive(profile, owner) && viewer?._id ? await hasContacted(profileOwnerId, viewer._id) : false;
 
     // Agency profiles are NEVER locked — fully visible
     if (profile.isAgencyManaged) {
@@ -554,7 +584,9 @@ export const getProfileById = async (req, res) => {
     const safeProfile = applyProfilePrivacy({
       viewer,
       profile,
+      owner,
       isMatch: match,
+      contactedViewer,
     });
 
     // ✅ UPDATED: Show agency success fee to ALL viewers (so UI banner works)
@@ -568,7 +600,7 @@ export const getProfileById = async (req, res) => {
     }
 
     if (viewer?._id && profileOwnerId && viewer._id.toString() !== profileOwnerId.toString()) {
-      await Profile.updateOne({ _id: profile._id }, { $inc: { profileViews: 1 } });
+      await recordProfileView({ viewer, viewedProfile: profile }).catch(() => {});
     }
 
     res.json({ profile: safeProfile });
@@ -745,7 +777,14 @@ export const updatePrivacySettings = async (req, res) => {
     const profile = await Profile.findOne({ userId });
     if (!profile) return res.status(404).json({ message: 'Profile not found' });
 
-    const { showPhone, showEmail, showIncome, photoVisibility, profileVisibility } = req.body;
+    const { showPhone, showEmail, showIncome, photoVisibility, profileVisibility, incognito, readReceipts } = req.body;
+
+    if (incognito === true && !hasPremiumAccess(req.user)) {
+      return res.status(403).json({
+        message: 'Incognito browsing is available to premium members only',
+        code: 'PREMIUM_REQUIRED',
+      });
+    }
 
     profile.privacySettings = {
       showPhone: showPhone !== undefined ? Boolean(showPhone) : profile.privacySettings?.showPhone,
@@ -753,6 +792,10 @@ export const updatePrivacySettings = async (req, res) => {
       showIncome: showIncome !== undefined ? Boolean(showIncome) : profile.privacySettings?.showIncome,
       photoVisibility: photoVisibility || profile.privacySettings?.photoVisibility || 'all',
       profileVisibility: profileVisibility || profile.privacySettings?.profileVisibility || 'all',
+      incognito: incognito !== undefined ? incognito === true : profile.privacySettings?.incognito === true,
+      // off = others don't see when you read their messages, and you don't see theirs
+      readReceipts:
+        readReceipts !== undefined ? readReceipts !== false : profile.privacySettings?.readReceipts !== false,
     };
 
     await profile.save();
@@ -148,7 +148,7 @@ export const getReportStatus = async (req, res) => {
     }
 
     // Only allow the reporter to view their own report details
-    if (report.reportedByUserId.toString() !== req.user._id.toString()) {
+    if (report.reportedByUserId?.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to view this report' });
     }
 
@@ -0,0 +1,89 @@
+// ===== FILE: ./controllers/savedSearchController.js =====
+import mongoose from 'mongoose';
+import SavedSearch from '../models/SavedSearch.js';
+import { nextRunFor } from '../jobs/savedSearchAlerts.js';
+import { handleControllerError } from '../utils/errors.js';
+import { pickSearchFilters } from '../utils/searchQuery.js';
+import { LIMITS } from '../utils/constants.js';
+
+export const listSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, savedSearches });
+  } catch (e) {
+    handleControllerError(res, e, 'List saved searches');
+  }
+};
+
+export const createSavedSearch = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { name, filters = {}, frequency = 'daily', alertsEnabled = true } = req.body;
+
+    const count = await SavedSearch.countDocuments({ userId });
+    if (count >= LIMITS.MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `Maximum ${LIMITS.MAX_SAVED_SEARCHES} saved searches allowed` });
+    }
+
+    const now = new Date();
+    const savedSearch = await SavedSearch.create({
+      userId,
+      name: name.trim(),
+      filters: pickSearchFilters(filters),
+      frequency,
+      alertsEnabled,
+      lastRunAt: now,
+      nextRunAt: nextRunFor(frequency, now),
+    });
+
+    res.status(201).json({ success: true, savedSearch });
+  } catch (e) {
+    handleControllerError(res, e, 'Create saved search');
+  }
+};
+
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid saved search ID' });
+
+    const savedSearch = await SavedSearch.findOne({ _id: id, userId: req.user._id });
+    if (!savedSearch) return res.status(404).json({ message: 'Saved search not found' });
+
+    const { name, filters, frequency, alertsEnabled } = req.body;
+
+    if (name !== undefined) savedSearch.name = name.trim();
+    if (filters !== undefined) savedSearch.filters = pickSearchFilters(filters);
+    if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+    if (frequency !== undefined && frequency !== savedSearch.frequency) {
+      savedSearch.frequency = frequency;
+      savedSearch.nextRunAt = nextRunFor(frequency, savedSearch.lastRunAt || new Date());
+    }
+
+    await savedSearch.save();
+    res.json({ success: true, savedSearch });
+  } catch (e) {
+    handleControllerError(res, e, 'Update saved search');
+  }
+};
+
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid saved search ID' });
+
+    const deleted = await SavedSearch.findOneAndDelete({ _id: id, userId: req.user._id }).lean();
+    if (!deleted) return res.status(404).json({ message: 'Saved search not found' });
+
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (e) {
+    handleControllerError(res, e, 'Delete saved search');
+  }
+};
+
+export default {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+};
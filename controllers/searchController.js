@@ -2,55 +2,115 @@
 import Profile from '../models/Profile.js';
 import User from '../models/User.js';
 import Interest from '../models/Interest.js';
-import calculateMatchScore from '../utils/calculateMatchScore.js'; // ✅ ADDED: Import for match score
+import Shortlist from '../models/Shortlist.js';
+import { scoreMutualCompatibility } from '../utils/calculateMatchScore.js';
+import { getMatchWeights } from '../services/matchWeightService.js';
 import { handleControllerError } from '../utils/errors.js';
-import { parsePagination, formatPaginationResponse } from '../utils/pagination.js';
+import { parsePagination, formatPaginationResponse, paginateFind } from '../utils/pagination.js';
 import { LIMITS } from '../utils/constants.js';
 import { applyProfilePrivacy } from '../utils/privacy.js';
+import { getSearchVisibility } from '../services/searchVisibilityService.js';
+import { isBlockedBetween } from '../services/blockService.js';
+import { getViewerProfile } from '../services/viewerProfileCache.js';
+import { escapeRegex, baseSearchFilter, buildSearchQuery } from '../utils/searchQuery.js';
+import { buildSearchSnippets } from '../utils/searchSnippets.js';
+import { resolveLocation, parseLatLng, distanceKm } from '../utils/gazetteer.js';
+
+const CARD_USER_FIELDS = '_id isPremium isEmailVerified isPhoneVerified createdAt role subscription premiumExpiry';
+
+/**
+ * Everything a page of cards needs beyond the profiles themselves, in one parallel
+ * round-trip: owner user flags, interest edges with the viewer (both directions)
+ * and the viewer's shortlist.
+ */
+const loadCardRelations = async (viewerId, userIds) => {
+  const [users, edges, shortlisted] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select(CARD_USER_FIELDS).lean(),
+    viewerId
+      ? Interest.find({
+          $or: [
+            { senderId: viewerId, receiverId: { $in: userIds } },
+            { receiverId: viewerId, senderId: { $in: userIds } },
+          ],
+        })
+          .select('senderId receiverId status')
+          .lean()
+      : [],
+    viewerId
+      ? Shortlist.find({ userId: viewerId, shortlistedUserId: { $in: userIds } }).select('shortlistedUserId').lean()
+      : [],
+  ]);
+
+  const viewerStr = viewerId?.toString();
+  const sent = new Map(); // other userId -> status of the viewer's interest
+  const received = new Map(); // other userId -> status of their interest to the viewer
+  for (const e of edges) {
+    if (e.senderId.toString() === viewerStr) sent.set(e.receiverId.toString(), e.status);
+    else received.set(e.senderId.toString(), e.status);
+  }
 
-const escapeRegex = (str) => {
-  if (!str || typeof str !== 'string') return '';
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    userById: new Map(users.map((u) => [u._id.toString(), u])),
+    sent,
+    received,
+    shortlisted: new Set(shortlisted.map((s) => s.shortlistedUserId.toString())),
+  };
 };
 
-const parseBool = (v) => {
-  if (v === true || v === 1) return true;
-  const s = String(v || '').toLowerCase();
-  return s === 'true' || s === '1' || s === 'yes';
-};
+// Card fields for the compatibility engine result ("matched religion, missed height").
+// Only the viewer's side is broken down; the candidate's own preferences stay private.
+const toMatchFields = ({ score, forward, reverse }) => ({
+  matchScore: forward.score,
+  matchBreakdown: forward.breakdown,
+  matchedCriteria: forward.matched,
+  missedCriteria: forward.missed,
+  reverseMatchScore: reverse ? reverse.score : null,
+  mutualMatchScore: score,
+});
 
-const buildMatchSet = async (viewerId, candidateUserIds) => {
-  if (!viewerId || !candidateUserIds?.length) return new Set();
+// Score a candidate pool two-way and order it best-first (ties: most recently active)
+const sortByMutualMatch = (profiles, viewerProfile, weights) =>
+  profiles
+    .map((p) => ({ p, score: scoreMutualCompatibility(viewerProfile, p, weights).score }))
+    .sort((a, b) => b.score - a.score || new Date(b.p.lastActive || 0) - new Date(a.p.lastActive || 0))
+    .map((x) => x.p);
 
-  const edges = await Interest.find({
-    status: 'accepted',
-    $or: [
-      { senderId: viewerId, receiverId: { $in: candidateUserIds } },
-      { receiverId: viewerId, senderId: { $in: candidateUserIds } },
-    ],
-  })
-    .select('senderId receiverId')
-    .lean();
+// sortBy=mutualMatch can't be done in Mongo, so rank at most this many candidates in memory
+const MUTUAL_SORT_POOL = 500;
 
-  const viewerStr = viewerId.toString();
-  const set = new Set();
+const SORT_FIELDS = ['createdAt', 'age', 'completionPercentage', 'lastActive'];
+const DEFAULT_RADIUS_KM = 50;
 
-  for (const e of edges) {
-    const s = e.senderId.toString();
-    const r = e.receiverId.toString();
-    const other = s === viewerStr ? r : s;
-    set.add(other);
+// near=me (viewer's own profile location), near=<lat,lng> or near=<city>
+const resolveNearPoint = async (near, req) => {
+  if (near === 'me') {
+    const own = await getViewerProfile(req);
+    return own?.location?.coordinates?.length ? own.location : null;
   }
+  return parseLatLng(near) || resolveLocation({ city: near });
+};
 
-  return set;
+// Distance for a card: from the near point when searching by distance, else from the viewer
+const cardDistanceKm = (profile, viewerProfile) => {
+  const km =
+    profile.distanceMeters != null
+      ? profile.distanceMeters / 1000
+      : distanceKm(viewerProfile?.location, profile.location);
+  return km == null ? null : Math.round(km * 10) / 10;
 };
 
-const formatProfileWithUserData = async (profile, viewer) => {
-  const user = await User.findById(profile.userId)
-    .select('_id isPremium isEmailVerified isPhoneVerified createdAt role subscription premiumExpiry')
-    .lean()
-    .catch(() => null);
+// One label per card from the interest edges in both directions.
+// Blocks surface as "declined" so a card never reveals who blocked whom.
+const interestStatusFor = (sentStatus, receivedStatus) => {
+  if (sentStatus === 'accepted' || receivedStatus === 'accepted') return 'accepted';
+  if (sentStatus === 'pending') return 'sent';
+  if (receivedStatus === 'pending') return 'received';
+  const refused = ['declined', 'blocked'];
+  if (refused.includes(sentStatus) || refused.includes(receivedStatus)) return 'declined';
+  return 'none';
+};
 
+const toCard = (profile, user) => {
   let photoUrl = null;
   if (profile.photos?.length > 0) {
     const mainPhoto = profile.photos.find((p) => p.isProfile) || profile.photos[0];
@@ -59,7 +119,7 @@ const formatProfileWithUserData = async (profile, viewer) => {
 
   const isVerified = Boolean(profile.isVerified || user?.isEmailVerified || user?.isPhoneVerified);
 
-  const raw = {
+  return {
     _id: profile._id,
     id: profile.userId,
     userId: profile.userId,
@@ -102,121 +162,127 @@ const formatProfileWithUserData = async (profile, viewer) => {
     successFee: profile.successFee,
     successFeeCurrency: profile.successFeeCurrency,
   };
-
-  // ✅ Fetch viewer's profile for match score calculation
-  const viewerProfile = viewer ? await Profile.findOne({ userId: viewer._id }).lean() : null;
-  const isOwn = viewer?._id && String(profile.userId) === String(viewer._id);
-
-  // ✅ Calculate Match Score
-  if (viewerProfile && !isOwn) {
-    raw.matchScore = calculateMatchScore(viewerProfile, raw);
-  }
-
-  const matchSet = await buildMatchSet(viewer?._id, [profile.userId]);
-  const isMatch = matchSet.has(profile.userId?.toString());
-
-  const safe = applyProfilePrivacy({ viewer, profile: raw, isMatch });
-  delete safe.privacySettings;
-  if (safe.photosLocked) safe.photoUrl = null;
-
-  return safe;
 };
 
-const formatProfilesWithUserData = async (profiles, viewer) => {
+// options.q: keyword search text, adds highlighted searchSnippets to visible cards
+const formatProfilesWithUserData = async (profiles, req, { q } = {}) => {
   if (!profiles || profiles.length === 0) return [];
 
+  const viewer = req.user;
   const userIds = profiles.map((p) => p.userId).filter(Boolean);
 
-  const users = await User.find({ _id: { $in: userIds } })
-    .select('_id isPremium isEmailVerified isPhoneVerified createdAt role subscription premiumExpiry')
-    .lean();
-
-  const userMap = {};
-  users.forEach((u) => {
-    userMap[u._id.toString()] = u;
-  });
-
-  const matchSet = await buildMatchSet(viewer?._id, userIds);
-
-  // ✅ Fetch viewer profile ONCE for batch scoring
-  const viewerProfile = viewer ? await Profile.findOne({ userId: viewer._id }).lean() : null;
+  // ✅ viewer profile comes from the per-request cache; weights are cached in the service
+  const [relations, viewerProfile] = await Promise.all([
+    loadCardRelations(viewer?._id, userIds),
+    getViewerProfile(req),
+  ]);
+  const weights = viewerProfile ? await getMatchWeights() : null;
 
   return profiles.map((profile) => {
-    const user = userMap[profile.userId?.toString()] || null;
-
-    let photoUrl = null;
-    if (profile.photos?.length > 0) {
-      const mainPhoto = profile.photos.find((p) => p.isProfile) || profile.photos[0];
-      photoUrl = mainPhoto?.url || null;
-    }
+    const ownerId = profile.userId?.toString();
+    const owner = relations.userById.get(ownerId) || null;
+    const raw = toCard(profile, owner);
 
-    const isVerified = Boolean(profile.isVerified || user?.isEmailVerified || user?.isPhoneVerified);
-
-    const raw = {
-      _id: profile._id,
-      id: profile.userId,
-      userId: profile.userId,
-      role: user?.role || 'user',
-      isPremium: user?.isPremium || false,
-      isEmailVerified: user?.isEmailVerified || false,
-      isPhoneVerified: user?.isPhoneVerified || false,
-      isVerified,
-      createdAt: user?.createdAt || profile.createdAt,
-      profileId: profile.profileId || profile._id?.toString(),
-      fullName: profile.fullName,
-      age: profile.age,
-      gender: profile.gender,
-      city: profile.city,
-      state: profile.state,
-      country: profile.country,
-      citizenship: profile.citizenship,
-      occupation: profile.occupation,
-      education: profile.education,
-      religion: profile.religion,
-      caste: profile.caste,
-      maritalStatus: profile.maritalStatus,
-      diet: profile.diet,
-      smoking: profile.smoking,
-      drinking: profile.drinking,
-      height: profile.height,
-      weight: profile.weight,
-      bodyType: profile.bodyType,
-      bio: profile.bio,
-      annualIncome: profile.annualIncome,
-      photoUrl,
-      photos: profile.photos || [],
-      completionPercentage: profile.completionPercentage || 0,
-      completionDetails: profile.completionDetails || {},
-      lastActive: profile.lastActive,
-      privacySettings: profile.privacySettings,
-      isAgencyManaged: profile.isAgencyManaged || false,
-      agencyId: profile.agencyId || null,
-      agencyNameTag: profile.agencyNameTag || null,
-      successFee: profile.successFee,
-      successFeeCurrency: profile.successFeeCurrency,
-    };
-
-    const isMatch = matchSet.has(profile.userId?.toString());
-    const isOwn = viewer?._id && String(profile.userId) === String(viewer._id);
+    const isOwn = viewer?._id && ownerId === String(viewer._id);
+    const interestStatus = interestStatusFor(relations.sent.get(ownerId), relations.received.get(ownerId));
+    const isMatch = interestStatus === 'accepted';
+    // incognito owners stay visible to people they already sent an interest to
+    const contactedViewer = relations.received.has(ownerId);
 
-    // ✅ ADDED: Calculate match score if viewer has a profile
+    // ✅ Calculate match score + breakdown if viewer has a profile
     if (viewerProfile && !isOwn) {
-      raw.matchScore = calculateMatchScore(viewerProfile, raw);
+      Object.assign(raw, toMatchFields(scoreMutualCompatibility(viewerProfile, profile, weights)));
     }
+    if (!isOwn) raw.distanceKm = cardDistanceKm(profile, viewerProfile);
 
-    const safe = applyProfilePrivacy({ viewer, profile: raw, isMatch });
+    const safe = applyProfilePrivacy({ viewer, profile: raw, owner, isMatch, contactedViewer });
     delete safe.privacySettings;
     if (safe.photosLocked) safe.photoUrl = null;
+    if (q && !safe.profileLocked) safe.searchSnippets = buildSearchSnippets(profile, q);
+
+    // viewer's own relationship with the card (saves a status + shortlist call per card)
+    if (viewer?._id && !isOwn) {
+      safe.interestStatus = interestStatus;
+      safe.isShortlisted = relations.shortlisted.has(ownerId);
+    }
     return safe;
   });
 };
 
-// ✅ FIX: Base query that excludes inactive / unapproved profiles
-const baseSearchFilter = (viewerId) => ({
-  userId: { $ne: viewerId },
-  isActive: { $ne: false },
+const formatProfileWithUserData = async (profile, req) => (await formatProfilesWithUserData([profile], req))[0];
+
+// ==================== SUGGESTIONS ====================
+
+const SUGGESTION_POOL = 200;
+const ACTIVITY_WINDOW_DAYS = 30;
+
+const toPrefList = (v) =>
+  (Array.isArray(v) ? v : v ? [v] : [])
+    .map((x) => String(x || '').trim())
+    .filter((x) => x && !['any', 'doesnt_matter', 'all'].includes(x.toLowerCase()));
+
+const exactInsensitive = (values) => ({
+  $in: values.map((v) => new RegExp(`^${escapeRegex(v)}$`, 'i')),
 });
 
+// Candidate filter derived from the viewer's partnerPreferences
+const buildPreferenceQuery = (viewerProfile) => {
+  const prefs = viewerProfile?.partnerPreferences || {};
+  const q = {};
+
+  if (viewerProfile?.gender === 'male') q.gender = 'female';
+  else if (viewerProfile?.gender === 'female') q.gender = 'male';
+
+  const min = parseInt(prefs.ageRange?.min, 10);
+  const max = parseInt(prefs.ageRange?.max, 10);
+  if (Number.isFinite(min) || Number.isFinite(max)) {
+    q.age = {};
+    if (Number.isFinite(min)) q.age.$gte = min;
+    if (Number.isFinite(max)) q.age.$lte = max;
+  }
+
+  const religions = toPrefList(prefs.religion);
+  if (religions.length) q.religion = exactInsensitive(religions);
+
+  const countries = toPrefList(prefs.country);
+  if (countries.length) q.country = exactInsensitive(countries);
+
+  const maritalStatuses = toPrefList(prefs.maritalStatus);
+  if (maritalStatuses.length) q.maritalStatus = { $in: maritalStatuses };
+
+  return q;
+};
+
+// Users the viewer has already acted on: sent interests (incl. declined), blocks either way, shortlist
+const getSuggestionExclusions = async (viewerId, blockedUserIds = []) => {
+  const [sent, shortlisted] = await Promise.all([
+    Interest.find({ senderId: viewerId }).select('receiverId').lean(),
+    Shortlist.find({ userId: viewerId }).select('shortlistedUserId').lean(),
+  ]);
+
+  const ids = new Set([viewerId.toString()]);
+  sent.forEach((i) => ids.add(i.receiverId.toString()));
+  blockedUserIds.forEach((id) => ids.add(id.toString()));
+  shortlisted.forEach((s) => ids.add(s.shortlistedUserId.toString()));
+
+  return [...ids];
+};
+
+const activityScore = (lastActive) => {
+  if (!lastActive) return 0;
+  const days = (Date.now() - new Date(lastActive).getTime()) / (1000 * 60 * 60 * 24);
+  return Math.max(0, Math.round(100 * (1 - days / ACTIVITY_WINDOW_DAYS)));
+};
+
+const rankSuggestions = (profiles, viewerProfile, weights) =>
+  profiles
+    .map((p) => {
+      const compatibility = scoreMutualCompatibility(viewerProfile, p, weights).score;
+      return { p, rank: 0.75 * compatibility + 0.25 * activityScore(p.lastActive) };
+    })
+    .sort((a, b) => b.rank - a.rank)
+    .map((x) => x.p);
+
 // ==================== CONTROLLERS ====================
 
 export const searchProfiles = async (req, res) => {
@@ -228,64 +294,111 @@ export const searchProfiles = async (req, res) => {
       maxLimit: LIMITS.MAX_LIMIT_SEARCH,
     });
 
-    const {
-      gender, minAge, maxAge, religion, caste, city, state,
-      education, occupation, maritalStatus, diet, smoking, drinking,
-      country, citizenship, excludeCountry, nativeSriLankan, sriLankanAbroad,
-      sortBy = 'createdAt', sortOrder = 'desc',
-    } = req.query;
-
-    const query = baseSearchFilter(viewerId);
+    const keywords = String(req.query.q || '').trim();
+    const near = String(req.query.near || '').trim();
+    const nearPoint = near ? await resolveNearPoint(near, req) : null;
 
-    if (gender && gender !== 'all') query.gender = gender;
-
-    if (minAge || maxAge) {
-      query.age = {};
-      if (minAge) query.age.$gte = parseInt(minAge, 10);
-      if (maxAge) query.age.$lte = parseInt(maxAge, 10);
+    if (near && !nearPoint) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown location for "near". Use "me", a city name or "lat,lng".',
+      });
     }
-
-    if (religion && religion !== '') query.religion = { $regex: escapeRegex(religion), $options: 'i' };
-    if (caste && caste !== '') query.caste = { $regex: escapeRegex(caste), $options: 'i' };
-    if (city && city !== '') query.city = { $regex: escapeRegex(city), $options: 'i' };
-    if (state && state !== '') query.state = { $regex: escapeRegex(state), $options: 'i' };
-    if (occupation && occupation !== '') query.occupation = { $regex: escapeRegex(occupation), $options: 'i' };
-    if (education && education !== '') query.education = education;
-    if (maritalStatus && maritalStatus !== '') query.maritalStatus = maritalStatus;
-    if (diet && diet !== '') query.diet = diet;
-    if (smoking && smoking !== '') query.smoking = smoking;
-    if (drinking && drinking !== '') query.drinking = drinking;
-    if (country && country !== '') query.country = { $regex: escapeRegex(country), $options: 'i' };
-    if (citizenship && citizenship !== '') query.citizenship = { $regex: escapeRegex(citizenship), $options: 'i' };
-
-    if (excludeCountry && excludeCountry !== '') {
-      query.country = { $ne: String(excludeCountry).trim() };
+    // $geoNear and $text both need to be the first stage, so they can't be combined
+    if (nearPoint && keywords) {
+      return res.status(400).json({ success: false, message: 'Keyword search cannot be combined with "near"' });
     }
 
-    if (parseBool(nativeSriLankan)) {
-      query.citizenship = 'Sri Lanka';
-    }
+    const defaultSort = keywords ? 'relevance' : nearPoint ? 'distance' : 'createdAt';
+    const { sortBy = defaultSort, sortOrder = 'desc' } = req.query;
 
-    if (parseBool(sriLankanAbroad)) {
-      query.citizenship = 'Sri Lanka';
-      query.country = { $ne: 'Sri Lanka' };
+    // ranked orderings are computed per request, so only page/limit applies to them
+    const isRanked = Boolean(nearPoint) || sortBy === 'mutualMatch' || (sortBy === 'relevance' && keywords);
+    if (isRanked && (req.query.after || req.query.before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'after/before cursors are not supported with distance, relevance or mutualMatch sorting',
+      });
     }
 
-    const allowedSortFields = ['createdAt', 'age', 'completionPercentage', 'lastActive'];
-    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
-    const sort = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
-
-    const [profiles, total] = await Promise.all([
-      Profile.find(query).sort(sort).skip(skip).limit(limit).select('-partnerPreferences').lean(),
-      Profile.countDocuments(query),
-    ]);
+    const query = buildSearchQuery(req.query, viewerId, await getSearchVisibility(viewerId));
+
+    let profiles;
+    let total;
+    let pagination;
+
+    if (nearPoint) {
+      const radiusKm = Number(req.query.radiusKm) || DEFAULT_RADIUS_KM;
+      const geoNear = {
+        $geoNear: {
+          near: nearPoint,
+          key: 'location',
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query,
+        },
+      };
+
+      if (sortBy === 'mutualMatch') {
+        const [viewerProfile, pool] = await Promise.all([
+          getViewerProfile(req),
+          Profile.aggregate([geoNear, { $limit: MUTUAL_SORT_POOL }]),
+        ]);
+
+        const ranked = viewerProfile ? sortByMutualMatch(pool, viewerProfile, await getMatchWeights()) : pool;
+        profiles = ranked.slice(skip, skip + limit);
+        total = pool.length;
+      } else {
+        // nearest first unless another sort field was asked for
+        const sortStage = SORT_FIELDS.includes(sortBy)
+          ? [{ $sort: { [sortBy]: sortOrder === 'asc' ? 1 : -1, distanceMeters: 1 } }]
+          : [];
+
+        const [result] = await Profile.aggregate([
+          geoNear,
+          ...sortStage,
+          { $facet: { rows: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } },
+        ]);
+
+        profiles = result?.rows || [];
+        total = result?.total?.[0]?.count || 0;
+      }
+    } else if (sortBy === 'mutualMatch') {
+      // candidate partnerPreferences are needed for the reverse direction (never copied onto cards)
+      const [viewerProfile, pool, count] = await Promise.all([
+        getViewerProfile(req),
+        Profile.find(query).sort({ lastActive: -1, createdAt: -1 }).limit(MUTUAL_SORT_POOL).lean(),
+        Profile.countDocuments(query),
+      ]);
+
+      const ranked = viewerProfile ? sortByMutualMatch(pool, viewerProfile, await getMatchWeights()) : pool;
+      profiles = ranked.slice(skip, skip + limit);
+      total = Math.min(count, MUTUAL_SORT_POOL);
+    } else if (sortBy === 'relevance' && keywords) {
+      [profiles, total] = await Promise.all([
+        Profile.find(query)
+          .select({ score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' }, lastActive: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Profile.countDocuments(query),
+      ]);
+    } else {
+      ({ items: profiles, pagination } = await paginateFind(Profile, query, req.query, {
+        sortField: SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt',
+        sortOrder: sortOrder === 'asc' ? 1 : -1,
+        maxLimit: LIMITS.MAX_LIMIT_SEARCH,
+      }));
+    }
 
-    const formattedProfiles = await formatProfilesWithUserData(profiles, viewer);
+    const formattedProfiles = await formatProfilesWithUserData(profiles, req, { q: keywords });
 
     res.json({
       success: true,
       profiles: formattedProfiles,
-      pagination: formatPaginationResponse(total, page, limit),
+      pagination: pagination || formatPaginationResponse(total, page, limit),
     });
   } catch (e) {
     handleControllerError(res, e, 'Search profiles');
@@ -304,7 +417,7 @@ export const quickSearch = async (req, res) => {
 
     const { gender, minAge, maxAge, religion, city, country, citizenship } = req.query;
 
-    const query = baseSearchFilter(viewerId);
+    const query = baseSearchFilter(viewerId, await getSearchVisibility(viewerId));
 
     if (gender && gender !== 'all') query.gender = gender;
     if (minAge || maxAge) {
@@ -322,7 +435,7 @@ export const quickSearch = async (req, res) => {
       Profile.countDocuments(query),
     ]);
 
-    const formattedProfiles = await formatProfilesWithUserData(profiles, viewer);
+    const formattedProfiles = await formatProfilesWithUserData(profiles, req);
 
     res.json({
       success: true,
@@ -340,15 +453,43 @@ export const getSuggestedProfiles = async (req, res) => {
     const viewerId = viewer?._id || viewer?.id;
     const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
 
-    const query = baseSearchFilter(viewerId);
+    const [viewerProfile, visibility] = await Promise.all([getViewerProfile(req), getSearchVisibility(viewerId)]);
 
-    const profiles = await Profile.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limitNum)
-      .select('-partnerPreferences')
+    if (!viewerProfile) {
+      const profiles = await Profile.find(baseSearchFilter(viewerId, visibility))
+        .sort({ lastActive: -1, createdAt: -1 })
+        .limit(limitNum)
+        .select('-partnerPreferences')
+        .lean();
+      return res.json({ success: true, profiles: await formatProfilesWithUserData(profiles, req) });
+    }
+
+    const excludedUserIds = await getSuggestionExclusions(viewerId, visibility.blockedUserIds);
+    const base = { ...baseSearchFilter(viewerId, visibility), userId: { $nin: excludedUserIds } };
+    const prefQuery = buildPreferenceQuery(viewerProfile);
+
+    let pool = await Profile.find({ ...base, ...prefQuery })
+      .sort({ lastActive: -1, createdAt: -1 })
+      .limit(SUGGESTION_POOL)
       .lean();
 
-    const formattedProfiles = await formatProfilesWithUserData(profiles, viewer);
+    // Strict preferences left too few people: top up with everyone of the preferred gender
+    if (pool.length < limitNum) {
+      const seen = pool.map((p) => p._id);
+      const fill = await Profile.find({
+        ...base,
+        ...(prefQuery.gender ? { gender: prefQuery.gender } : {}),
+        _id: { $nin: seen },
+      })
+        .sort({ lastActive: -1, createdAt: -1 })
+        .limit(SUGGESTION_POOL - pool.length)
+        .lean();
+      pool = pool.concat(fill);
+    }
+
+    const ranked = rankSuggestions(pool, viewerProfile, await getMatchWeights());
+
+    const formattedProfiles = await formatProfilesWithUserData(ranked.slice(0, limitNum), req);
     res.json({ success: true, profiles: formattedProfiles });
   } catch (e) {
     handleControllerError(res, e, 'Get suggested profiles');
@@ -361,7 +502,7 @@ export const getRecentProfiles = async (req, res) => {
     const viewerId = viewer?._id || viewer?.id;
     const limitNum = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
 
-    const query = baseSearchFilter(viewerId);
+    const query = baseSearchFilter(viewerId, await getSearchVisibility(viewerId));
 
     const profiles = await Profile.find(query)
       .sort({ createdAt: -1 })
@@ -369,7 +510,7 @@ export const getRecentProfiles = async (req, res) => {
       .select('-partnerPreferences')
       .lean();
 
-    const formattedProfiles = await formatProfilesWithUserData(profiles, viewer);
+    const formattedProfiles = await formatProfilesWithUserData(profiles, req);
     res.json({ success: true, profiles: formattedProfiles });
   } catch (e) {
     handleControllerError(res, e, 'Get recent profiles');
@@ -378,7 +519,6 @@ export const getRecentProfiles = async (req, res) => {
 
 export const searchById = async (req, res) => {
   try {
-    const viewer = req.user;
     const { profileId } = req.params;
 
     let profile = await Profile.findOne({ profileId }).lean();
@@ -386,30 +526,85 @@ export const searchById = async (req, res) => {
       profile = await Profile.findById(profileId).lean();
     }
 
-    if (!profile) {
+    // blocked either way: behave as if the profile doesn't exist
+    if (!profile || (await isBlockedBetween(req.user?._id, profile.userId))) {
       return res.status(404).json({ success: false, message: 'Profile not found' });
     }
 
-    const formattedProfile = await formatProfileWithUserData(profile, viewer);
+    const formattedProfile = await formatProfileWithUserData(profile, req);
     return res.json({ success: true, profile: formattedProfile });
   } catch (e) {
     handleControllerError(res, e, 'Search by ID');
   }
 };
 
+// Age bands for the ageBand facet: [lower, upper) boundaries
+const AGE_BAND_BOUNDARIES = [18, 25, 30, 35, 40, 45, 50, 60, 101];
+const FACET_LIMIT = 50;
+
+const valueFacet = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+const ageBandLabel = (lower) => {
+  const i = AGE_BAND_BOUNDARIES.indexOf(lower);
+  const upper = AGE_BAND_BOUNDARIES[i + 1];
+  return upper >= 101 ? `${lower}+` : `${lower}-${upper - 1}`;
+};
+
 export const getFilterOptions = async (req, res) => {
   try {
+    const viewerId = req.user?._id || req.user?.id;
     const country = String(req.query.country || '').trim();
     const filter = country ? { country } : {};
 
-    const [religions, cities, educations, countries, citizenships] = await Promise.all([
+    // facet counts are taken over exactly what searchProfiles would match
+    const query = buildSearchQuery(req.query, viewerId, await getSearchVisibility(viewerId));
+
+    const [religions, cities, educations, countries, citizenships, facetRows] = await Promise.all([
       Profile.distinct('religion', filter),
       Profile.distinct('city', filter),
       Profile.distinct('education', filter),
       Profile.distinct('country', {}),
       Profile.distinct('citizenship', {}),
+      Profile.aggregate([
+        { $match: query },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            religion: valueFacet('religion'),
+            country: valueFacet('country'),
+            city: valueFacet('city'),
+            maritalStatus: valueFacet('maritalStatus'),
+            education: valueFacet('education'),
+            ageBand: [
+              { $match: { age: { $gte: AGE_BAND_BOUNDARIES[0] } } },
+              {
+                $bucket: {
+                  groupBy: '$age',
+                  boundaries: AGE_BAND_BOUNDARIES,
+                  default: 'other',
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+          },
+        },
+      ]),
     ]);
 
+    const { total, ageBand, ...valueFacets } = facetRows[0] || {};
+    const facets = {
+      ...valueFacets,
+      ageBand: (ageBand || [])
+        .filter((b) => b._id !== 'other')
+        .map((b) => ({ value: ageBandLabel(b._id), min: b._id, count: b.count })),
+    };
+
     res.json({
       success: true,
       religions: religions.filter(Boolean).sort(),
@@ -420,6 +615,9 @@ export const getFilterOptions = async (req, res) => {
       maritalStatuses: ['never_married', 'divorced', 'widowed', 'awaiting_divorce', 'annulled'],
       diets: ['vegetarian', 'non_vegetarian', 'eggetarian', 'vegan', 'jain', 'pescatarian'],
       bodyTypes: ['slim', 'average', 'athletic', 'heavy', 'fit'],
+      // live counts for the filters already applied; empty options are simply absent
+      facets,
+      total: total?.[0]?.count || 0,
     });
   } catch (e) {
     handleControllerError(res, e, 'Get filter options');
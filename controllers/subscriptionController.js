@@ -9,6 +9,8 @@ import User from '../models/User.js';
 
 import { handleControllerError, AppError } from '../utils/errors.js';
 import { formatPayHereAmount } from '../utils/payhere.js';
+import { getQuotaSummary } from '../services/quotaService.js';
+import { QUOTA_METRICS, SUPER_INTEREST } from '../utils/constants.js';
 
 const FREE_FEATURES = {
   unlimitedMessages: false,
@@ -88,6 +90,58 @@ const ensurePayHereConfigured = () => {
   return { merchantId, merchantSecret, clientUrl, serverUrl };
 };
 
+// PayHere form payload for a pending local Payment (order_id = payment._id)
+async function buildPayHereCheckout(payment, { itemName, returnPath, cancelPath }) {
+  const { merchantId, merchantSecret, clientUrl, serverUrl } = ensurePayHereConfigured();
+  const user = await User.findById(payment.userId).select('fullName email phone countryCode').lean();
+
+  const orderId = String(payment._id);
+  const amountStr = formatPayHereAmount(payment.amount);
+
+  const payload = {
+    merchant_id: merchantId,
+    return_url: `${clientUrl}${returnPath}?order_id=${encodeURIComponent(orderId)}`,
+    cancel_url: `${clientUrl}${cancelPath}`,
+    notify_url: `${serverUrl}/api/payments/payhere/notify`, // Standardized route
+
+    order_id: orderId,
+    items: itemName,
+    currency: payment.currency,
+    amount: amountStr,
+
+    first_name: (user?.fullName || 'User').split(' ')[0] || 'User',
+    last_name: (user?.fullName || '').split(' ').slice(1).join(' ') || '-',
+    email: user?.email || 'no-email@matrimony.local',
+    phone: user?.phone ? `${user?.countryCode || '+94'}${user.phone}` : '0771234567',
+    address: 'N/A',
+    city: 'N/A',
+    country: 'Sri Lanka',
+  };
+
+  // Add PayHere hash (Correctly calculated)
+  payload.hash = buildPayHereHash({
+    merchant_id: merchantId,
+    order_id: orderId,
+    amount: amountStr,
+    currency: payment.currency,
+    merchant_secret: merchantSecret,
+  });
+
+  // Save PayHere specific details
+  payment.payhere = payment.payhere || {};
+  payment.payhere.orderId = orderId;
+  await payment.save();
+
+  return {
+    gateway: 'payhere',
+    checkoutUrl: payhereCheckoutUrl(),
+    payload,
+    orderId,
+    currency: payment.currency,
+    amount: payment.amount,
+  };
+}
+
 const featuresArrayToFlags = (features = []) => {
   const flags = {};
   for (const f of features) flags[String(f)] = true;
@@ -146,7 +200,7 @@ export const getMySubscription = async (req, res) => {
 
 export const createCheckoutSession = async (req, res) => {
   try {
-    const { merchantId, merchantSecret, clientUrl, serverUrl } = ensurePayHereConfigured();
+    ensurePayHereConfigured();
 
     const { planId } = req.body || {};
     const userId = req.user._id;
@@ -176,8 +230,6 @@ export const createCheckoutSession = async (req, res) => {
       });
     }
 
-    const user = await User.findById(userId).select('fullName email phone countryCode').lean();
-
     // Create local payment first (order_id will be this payment._id)
     const payment = await Payment.create({
       userId,
@@ -198,53 +250,50 @@ export const createCheckoutSession = async (req, res) => {
       },
     });
 
-    const orderId = String(payment._id);
-    const amountStr = formatPayHereAmount(amountMajor);
+    const checkout = await buildPayHereCheckout(payment, {
+      itemName: plan.name,
+      returnPath: '/subscription/success',
+      cancelPath: '/pricing?cancelled=true',
+    });
 
-    const payload = {
-      merchant_id: merchantId,
-      return_url: `${clientUrl}/subscription/success?order_id=${encodeURIComponent(orderId)}`,
-      cancel_url: `${clientUrl}/pricing?cancelled=true`,
-      notify_url: `${serverUrl}/api/payments/payhere/notify`, // Standardized route
+    return res.json(checkout);
+  } catch (e) {
+    handleControllerError(res, e, 'Create PayHere checkout');
+  }
+};
 
-      order_id: orderId,
-      items: plan.name,
-      currency,
-      amount: amountStr,
-
-      first_name: (user?.fullName || 'User').split(' ')[0] || 'User',
-      last_name: (user?.fullName || '').split(' ').slice(1).join(' ') || '-',
-      email: user?.email || 'no-email@matrimony.local',
-      phone: user?.phone ? `${user?.countryCode || '+94'}${user.phone}` : '0771234567',
-      address: 'N/A',
-      city: 'N/A',
-      country: 'Sri Lanka',
-    };
-
-    // Add PayHere hash (Correctly calculated)
-    payload.hash = buildPayHereHash({
-      merchant_id: merchantId,
-      order_id: orderId,
-      amount: amountStr,
-      currency,
-      merchant_secret: merchantSecret,
-    });
+// Per-use super interests; credits are added by the PayHere notify handler
+export const createSuperInterestCheckout = async (req, res) => {
+  try {
+    ensurePayHereConfigured();
 
-    // Save PayHere specific details
-    payment.payhere = payment.payhere || {};
-    payment.payhere.orderId = orderId;
-    await payment.save();
+    const quantity = Number(req.body?.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > SUPER_INTEREST.MAX_QUANTITY) {
+      return res.status(400).json({ message: `quantity must be 1–${SUPER_INTEREST.MAX_QUANTITY}` });
+    }
 
-    return res.json({
-      gateway: 'payhere',
-      checkoutUrl: payhereCheckoutUrl(),
-      payload,
-      orderId,
-      currency,
+    const amountMajor = SUPER_INTEREST.PRICE_LKR * quantity;
+
+    const payment = await Payment.create({
+      userId: req.user._id,
+      plan: SUPER_INTEREST.PLAN_CODE,
+      status: 'pending',
       amount: amountMajor,
+      currency: 'LKR',
+      gateway: 'payhere',
+      description: `Super interest x${quantity} (PayHere)`,
+      metadata: { kind: 'super_interest', quantity, unitPrice: SUPER_INTEREST.PRICE_LKR, gateway: 'payhere' },
+    });
+
+    const checkout = await buildPayHereCheckout(payment, {
+      itemName: `Super interest x${quantity}`,
+      returnPath: '/interests/super/success',
+      cancelPath: '/interests?cancelled=true',
     });
+
+    return res.json({ ...checkout, quantity });
   } catch (e) {
-    handleControllerError(res, e, 'Create PayHere checkout');
+    handleControllerError(res, e, 'Create super interest checkout');
   }
 };
 
@@ -332,13 +381,29 @@ export const checkFeatureAccess = async (req, res) => {
     const { feature } = req.params;
     const userId = req.user._id;
 
-    const subscription = await Subscription.findOne({ userId });
-    if (!subscription) return res.json({ hasAccess: false, plan: 'free' });
+    const [subscription, quotas] = await Promise.all([
+      Subscription.findOne({ userId }),
+      getQuotaSummary(req.user),
+    ]);
+
+    // quota metrics (e.g. interestsPerDay) are "accessible" while there is quota left
+    if (Object.hasOwn(QUOTA_METRICS, feature)) {
+      const { remaining } = quotas[feature];
+      return res.json({
+        hasAccess: remaining == null || remaining > 0,
+        plan: quotas.plan,
+        isActive: subscription?.isActive() ?? false,
+        quota: quotas[feature],
+        quotas,
+      });
+    }
+
+    if (!subscription) return res.json({ hasAccess: false, plan: 'free', quotas });
 
     const isActive = subscription.isActive();
     const hasFeature = subscription.features?.[feature] || false;
 
-    res.json({ hasAccess: isActive && hasFeature, plan: subscription.plan, isActive });
+    res.json({ hasAccess: isActive && hasFeature, plan: subscription.plan, isActive, quotas });
   } catch (e) {
     handleControllerError(res, e, 'Check feature access');
   }
@@ -352,6 +417,7 @@ export default {
   getPlans,
   getMySubscription,
   createCheckoutSession,
+  createSuperInterestCheckout,
   createPaymentIntent,
   verifyPayment,
   cancelSubscription,
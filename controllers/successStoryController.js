@@ -0,0 +1,303 @@
+// ===== FILE: ./controllers/successStoryController.js =====
+import fs from 'fs';
+import SuccessStory from '../models/SuccessStory.js';
+import MatchClosure from '../models/MatchClosure.js';
+import MarriageSuccess from '../models/MarriageSuccess.js';
+import Profile from '../models/Profile.js';
+import AdminLog from '../models/AdminLog.js';
+import uploadToCloudinary from '../utils/uploadToCloudinary.js';
+import { notifyMember } from '../services/notificationService.js';
+import { resolveActingUserId } from '../services/actingUserService.js';
+import { handleControllerError } from '../utils/errors.js';
+import { paginateFind } from '../utils/pagination.js';
+
+const STORY_FOLDER = 'matrimony/success-stories';
+
+const notifyStory = async (userId, data) => {
+  try {
+    await notifyMember({ userId, type: 'success_story', actionUrl: '/success-stories/mine', ...data });
+  } catch {
+    // ignore
+  }
+};
+
+const isPartner = (story, userId) => story.partnerIds.some((id) => id.toString() === userId.toString());
+const otherPartners = (story, userId) => story.partnerIds.filter((id) => id.toString() !== userId.toString());
+
+// Public card: first names only, no user ids
+const toPublicStories = async (stories) => {
+  const profileIds = stories.flatMap((s) => s.partnerProfileIds || []);
+  const profiles = await Profile.find({ _id: { $in: profileIds } }).select('fullName city country').lean();
+  const profileById = new Map(profiles.map((p) => [p._id.toString(), p]));
+
+  return stories.map((s) => ({
+    _id: s._id,
+    title: s.title,
+    story: s.story,
+    photos: (s.photos || []).map((p) => ({ _id: p._id, url: p.url })),
+    relationshipStatus: s.relationshipStatus,
+    agencyId: s.agencyId,
+    publishedAt: s.publishedAt,
+    couple: (s.partnerProfileIds || [])
+      .map((id) => profileById.get(id.toString()))
+      .filter(Boolean)
+      .map((p) => ({ firstName: String(p.fullName || '').split(/\s+/)[0], city: p.city, country: p.country })),
+  }));
+};
+
+// ==================== PUBLIC ====================
+
+// GET /api/success-stories?agencyId=
+export const listPublicStories = async (req, res) => {
+  try {
+    const filter = { status: 'approved' };
+    if (req.query.agencyId) filter.agencyId = String(req.query.agencyId); // never an operator object
+
+    const { items, pagination } = await paginateFind(SuccessStory, filter, req.query, { sortField: 'publishedAt' });
+
+    res.json({ success: true, stories: await toPublicStories(items), pagination });
+  } catch (e) {
+    handleControllerError(res, e, 'List success stories');
+  }
+};
+
+// GET /api/success-stories/:id
+export const getPublicStory = async (req, res) => {
+  try {
+    const story = await SuccessStory.findOne({ _id: req.params.id, status: 'approved' }).lean();
+    if (!story) return res.status(404).json({ message: 'Story not found' });
+
+    const [publicStory] = await toPublicStories([story]);
+    res.json({ success: true, story: publicStory });
+  } catch (e) {
+    handleControllerError(res, e, 'Get success story');
+  }
+};
+
+// ==================== COUPLES ====================
+
+// POST /api/success-stories (multipart: title, story, photos[])
+export const submitStory = async (req, res) => {
+  // uploads are only kept once a story references them (they are the stored photos without Cloudinary)
+  const discard = () => Promise.all((req.files || []).map((f) => fs.promises.unlink(f.path).catch(() => {})));
+  let created = null;
+  try {
+    const actorId = await resolveActingUserId(req);
+    const { title, story } = req.body;
+
+    const closure = await MatchClosure.findOne({
+      status: 'confirmed',
+      $or: [{ proposerId: actorId }, { partnerId: actorId }],
+    }).sort({ respondedAt: -1 });
+    if (!closure) {
+      await discard();
+      return res.status(403).json({
+        message: 'Only couples who confirmed each other can share a success story',
+        code: 'NOT_A_COUPLE',
+      });
+    }
+    if (closure.successStoryId && (await SuccessStory.exists({ _id: closure.successStoryId }))) {
+      await discard();
+      return res.status(409).json({ message: 'A success story already exists for this couple', code: 'STORY_EXISTS' });
+    }
+
+    const partnerIds = [closure.proposerId, closure.partnerId];
+    const [profiles, marriageSuccess] = await Promise.all([
+      Profile.find({ userId: { $in: partnerIds } }).select('userId isAgencyManaged agencyId').lean(),
+      MarriageSuccess.findOne({ 'metadata.matchClosureId': closure._id }).select('_id').lean(),
+    ]);
+
+    const photos = await Promise.all((req.files || []).map((f) => uploadToCloudinary(f.path, STORY_FOLDER)));
+
+    created = await SuccessStory.create({
+      matchClosureId: closure._id,
+      marriageSuccessId: marriageSuccess?._id || null,
+      submittedBy: actorId,
+      partnerIds,
+      partnerProfileIds: profiles.map((p) => p._id),
+      agencyId: profiles.find((p) => p.isAgencyManaged && p.agencyId)?.agencyId || null,
+      relationshipStatus: closure.relationshipStatus,
+      title: title?.trim() || null,
+      story: story.trim(),
+      photos,
+      consents: [{ userId: actorId }],
+    });
+
+    closure.successStoryId = created._id;
+    await closure.save();
+
+    for (const partnerId of otherPartners(created, actorId)) {
+      await notifyStory(partnerId, {
+        title: 'Approve your success story',
+        message: 'Your partner shared your story. It will be published only with your consent.',
+        relatedUserId: actorId,
+        metadata: { successStoryId: created._id },
+      });
+    }
+
+    res.status(201).json({ success: true, story: created });
+  } catch (e) {
+    if (!created) await discard();
+    handleControllerError(res, e, 'Submit success story');
+  }
+};
+
+// GET /api/success-stories/mine
+export const getMyStories = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const stories = await SuccessStory.find({ partnerIds: actorId }).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, stories });
+  } catch (e) {
+    handleControllerError(res, e, 'Get my success stories');
+  }
+};
+
+// POST /api/success-stories/:id/consent
+export const consentToStory = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const story = await SuccessStory.findById(req.params.id);
+    if (!story || !isPartner(story, actorId)) return res.status(404).json({ message: 'Story not found' });
+
+    if (!story.consents.some((c) => c.userId.toString() === actorId.toString())) {
+      story.consents.push({ userId: actorId });
+    }
+    // with everyone on board the story waits for admin review
+    if (story.status === 'awaiting_consent' && story.hasAllConsents()) story.status = 'pending';
+    await story.save();
+
+    res.json({ success: true, story });
+  } catch (e) {
+    handleControllerError(res, e, 'Consent to success story');
+  }
+};
+
+// DELETE /api/success-stories/:id/consent — either partner can pull a story at any time
+export const withdrawStoryConsent = async (req, res) => {
+  try {
+    const actorId = await resolveActingUserId(req);
+    const story = await SuccessStory.findById(req.params.id);
+    if (!story || !isPartner(story, actorId)) return res.status(404).json({ message: 'Story not found' });
+
+    story.consents = story.consents.filter((c) => c.userId.toString() !== actorId.toString());
+    story.status = 'awaiting_consent';
+    story.publishedAt = null;
+    await story.save();
+
+    res.json({ success: true, story });
+  } catch (e) {
+    handleControllerError(res, e, 'Withdraw success story consent');
+  }
+};
+
+// ==================== ADMIN ====================
+
+const logStoryReview = async (req, action, story, reason = null) => {
+  try {
+    await AdminLog.create({
+      adminId: req.user._id,
+      actorType: 'admin',
+      actorId: req.user._id,
+      actorRole: req.user.role || 'admin',
+      action,
+      targetUserId: story.submittedBy || story.partnerIds[0] || null,
+      reason,
+      metadata: { successStoryId: story._id },
+      ipAddress: req.ip,
+      userAgent: req.get?.('user-agent'),
+    });
+  } catch (e) {
+    console.error('Error logging admin action:', e.message);
+  }
+};
+
+// GET /api/admin/success-stories?status=pending
+export const adminListStories = async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const filter = status === 'all' ? {} : { status };
+    if (req.query.agencyId) filter.agencyId = String(req.query.agencyId);
+
+    const { items, pagination } = await paginateFind(SuccessStory, filter, req.query, {
+      decorate: (q) => q.populate('partnerProfileIds', 'fullName profileId photos city country'),
+    });
+
+    res.json({ success: true, stories: items, pagination });
+  } catch (e) {
+    handleControllerError(res, e, 'Admin list success stories');
+  }
+};
+
+// PATCH /api/admin/success-stories/:id/approve
+export const adminApproveStory = async (req, res) => {
+  try {
+    const story = await SuccessStory.findById(req.params.id);
+    if (!story) return res.status(404).json({ message: 'Story not found' });
+
+    if (story.status !== 'pending' || !story.hasAllConsents()) {
+      return res.status(400).json({ message: 'Only stories both partners consented to can be approved' });
+    }
+
+    story.status = 'approved';
+    story.reviewedBy = req.user._id;
+    story.reviewedAt = new Date();
+    story.rejectionReason = null;
+    story.publishedAt = new Date();
+    await story.save();
+
+    await logStoryReview(req, 'success_story_approved', story);
+    for (const partnerId of story.partnerIds) {
+      await notifyStory(partnerId, {
+        title: 'Your success story is live',
+        message: 'Thank you for sharing your story. It is now published.',
+        metadata: { successStoryId: story._id },
+      });
+    }
+
+    res.json({ success: true, story });
+  } catch (e) {
+    handleControllerError(res, e, 'Approve success story');
+  }
+};
+
+// PATCH /api/admin/success-stories/:id/reject  Body: { reason }
+export const adminRejectStory = async (req, res) => {
+  try {
+    const story = await SuccessStory.findById(req.params.id);
+    if (!story) return res.status(404).json({ message: 'Story not found' });
+
+    const reason = req.body?.reason?.trim() || null;
+    story.status = 'rejected';
+    story.reviewedBy = req.user._id;
+    story.reviewedAt = new Date();
+    story.rejectionReason = reason;
+    story.publishedAt = null;
+    await story.save();
+
+    await logStoryReview(req, 'success_story_rejected', story, reason);
+    for (const partnerId of story.partnerIds) {
+      await notifyStory(partnerId, {
+        title: 'Success story not published',
+        message: reason ? `Your story was not published: ${reason}`.slice(0, 500) : 'Your story was not published.',
+        metadata: { successStoryId: story._id },
+      });
+    }
+
+    res.json({ success: true, story });
+  } catch (e) {
+    handleControllerError(res, e, 'Reject success story');
+  }
+};
+
+export default {
+  listPublicStories,
+  getPublicStory,
+  submitStory,
+  getMyStories,
+  consentToStory,
+  withdrawStoryConsent,
+  adminListStories,
+  adminApproveStory,
+  adminRejectStory,
+};
@@ -0,0 +1,56 @@
+import Profile from '../models/Profile.js';
+import User from '../models/User.js';
+import { OWNER_ENTITLEMENT_FIELDS } from '../services/incognitoService.js';
+import { hasPremiumAccess } from '../utils/entitlements.js';
+
+// Incognito is premium-only. Premium lapses by date rather than through an event, so this sweep
+// switches incognito off for owners whose access has ended, keeping search filters entitlement-free.
+export async function clearLapsedIncognito({ batchSize = 500 } = {}) {
+  const incognito = { 'privacySettings.incognito': true, isAgencyManaged: { $ne: true } };
+
+  let cleared = 0;
+  let lastId = null;
+
+  for (;;) {
+    const batch = await Profile.find(lastId ? { ...incognito, _id: { $gt: lastId } } : incognito)
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .select('userId')
+      .lean();
+    if (!batch.length) break;
+    lastId = batch[batch.length - 1]._id;
+
+    const owners = await User.find({ _id: { $in: batch.map((p) => p.userId) } })
+      .select(OWNER_ENTITLEMENT_FIELDS)
+      .lean();
+    const lapsed = owners.filter((u) => !hasPremiumAccess(u)).map((u) => u._id);
+
+    if (lapsed.length) {
+      const result = await Profile.updateMany(
+        { ...incognito, userId: { $in: lapsed } },
+        { $set: { 'privacySettings.incognito': false } }
+      );
+      cleared += result.modifiedCount;
+    }
+
+    if (batch.length < batchSize) break;
+  }
+
+  return { cleared };
+}
+
+let timer = null;
+
+export function startIncognitoExpiry({ intervalMs = 60 * 60 * 1000 } = {}) {
+  if (timer) return () => {};
+  timer = setInterval(() => {
+    clearLapsedIncognito().catch(() => {});
+  }, intervalMs);
+
+  timer.unref?.();
+
+  return () => {
+    clearInterval(timer);
+    timer = null;
+  };
+}
@@ -0,0 +1,129 @@
+import Interest from '../models/Interest.js';
+import Profile from '../models/Profile.js';
+import { notifyUser } from '../services/notificationService.js';
+import { INTEREST_EXPIRY } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const nameOf = async (userId) => {
+  const profile = await Profile.findOne({ userId }).select('_id fullName').lean();
+  return { profileId: profile?._id, name: profile?.fullName || 'Someone' };
+};
+
+// Interests created before expiresAt existed get one derived from createdAt
+async function backfillExpiry() {
+  await Interest.updateMany({ status: 'pending', expiresAt: { $exists: false } }, [
+    { $set: { expiresAt: { $add: ['$createdAt', INTEREST_EXPIRY.EXPIRY_DAYS * DAY_MS] } } },
+  ]);
+}
+
+// Nudge receivers about pending interests that are about to lapse.
+async function sendExpiryReminders(now, limit) {
+  const remindBefore = new Date(now.getTime() + INTEREST_EXPIRY.REMINDER_DAYS * DAY_MS);
+
+  const due = await Interest.find({
+    status: 'pending',
+    reminderSentAt: { $exists: false },
+    expiresAt: { $gt: now, $lte: remindBefore },
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let reminded = 0;
+
+  for (const interest of due) {
+    const claimed = await Interest.updateOne(
+      { _id: interest._id, status: 'pending', reminderSentAt: { $exists: false } },
+      { $set: { reminderSentAt: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    try {
+      const sender = await nameOf(interest.senderId);
+      const daysLeft = Math.max(1, Math.ceil((interest.expiresAt - now) / DAY_MS));
+      const daysText = `${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+      await notifyUser({
+        userId: interest.receiverId,
+        type: 'interest_expiring',
+        title: 'Interest expiring soon',
+        message: `${sender.name}'s interest expires in ${daysText}. Respond before it lapses.`,
+        relatedUserId: interest.senderId,
+        relatedProfileId: sender.profileId,
+        relatedInterestId: interest._id,
+        actionUrl: '/interests',
+        metadata: { status: 'pending', expiresAt: interest.expiresAt },
+      });
+      reminded++;
+    } catch {
+      // ignore; the reminder is best effort and never retried
+    }
+  }
+
+  return reminded;
+}
+
+// Mark lapsed pending interests expired and tell the sender there was no response.
+async function expireLapsedInterests(now, limit) {
+  const due = await Interest.find({ status: 'pending', expiresAt: { $lte: now } })
+    .sort({ expiresAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let expired = 0;
+
+  for (const interest of due) {
+    // the receiver may have responded since the find
+    const claimed = await Interest.updateOne(
+      { _id: interest._id, status: 'pending' },
+      { $set: { status: 'expired', expiredAt: now, updatedAt: now } }
+    );
+    if (!claimed.modifiedCount) continue;
+    expired++;
+
+    try {
+      const receiver = await nameOf(interest.receiverId);
+      await notifyUser({
+        userId: interest.senderId,
+        type: 'interest_expired',
+        title: 'No response to your interest',
+        message: `${receiver.name} didn't respond to your interest, so it has expired.`,
+        relatedUserId: interest.receiverId,
+        relatedProfileId: receiver.profileId,
+        relatedInterestId: interest._id,
+        actionUrl: '/interests',
+        metadata: { status: 'expired' },
+      });
+    } catch {
+      // ignore
+    }
+  }
+
+  return expired;
+}
+
+export async function processInterestExpiry(limit = 200) {
+  const now = new Date();
+
+  await backfillExpiry();
+  const reminded = await sendExpiryReminders(now, limit);
+  const expired = await expireLapsedInterests(now, limit);
+
+  return { reminded, expired };
+}
+
+let timer = null;
+
+export function startInterestExpiry({ intervalMs = 60 * 60 * 1000 } = {}) {
+  if (timer) return () => {};
+  timer = setInterval(() => {
+    processInterestExpiry().catch(() => {});
+  }, intervalMs);
+
+  timer.unref?.();
+
+  return () => {
+    clearInterval(timer);
+    timer = null;
+  };
+}
@@ -0,0 +1,32 @@
+import Profile from '../models/Profile.js';
+import { normalizedProfileFields, NORMALIZATION_VERSION } from '../utils/profileNormalization.js';
+
+const SOURCE_FIELDS = 'height annualIncome monthlyIncome country state city education';
+
+// Fill heightCm / annualIncomeMinor / incomeCurrency / educationLevel / location on profiles saved
+// before those fields existed, or computed by an older NORMALIZATION_VERSION. Unparseable values
+// are stored as null so each profile is visited once; new saves are handled by the Profile pre-save hook.
+export async function backfillNormalizedProfileFields({ batchSize = 200 } = {}) {
+  const pending = { normalizationVersion: { $ne: NORMALIZATION_VERSION } };
+
+  let updated = 0;
+
+  for (;;) {
+    const batch = await Profile.find(pending).select(SOURCE_FIELDS).limit(batchSize).lean();
+    if (!batch.length) break;
+
+    await Profile.bulkWrite(
+      batch.map((p) => ({
+        updateOne: { filter: { _id: p._id }, update: { $set: normalizedProfileFields(p) } },
+      })),
+      { ordered: false }
+    );
+
+    updated += batch.length;
+    if (batch.length < batchSize) break;
+  }
+
+  return { updated };
+}
+
+export default backfillNormalizedProfileFields;
@@ -0,0 +1,81 @@
+import SavedSearch from '../models/SavedSearch.js';
+import Profile from '../models/Profile.js';
+import { buildSearchQuery } from '../utils/searchQuery.js';
+import { getSearchVisibility } from '../services/searchVisibilityService.js';
+import { notifyUser } from '../services/notificationService.js';
+
+const FREQUENCY_MS = {
+  instant: 15 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+export const nextRunFor = (frequency, from = new Date()) =>
+  new Date(from.getTime() + (FREQUENCY_MS[frequency] || FREQUENCY_MS.daily));
+
+// Re-run due saved searches and notify owners about profiles created since the previous run.
+export async function processSavedSearchAlerts(limit = 100) {
+  const now = new Date();
+
+  const due = await SavedSearch.find({ alertsEnabled: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(limit)
+    .lean();
+
+  let notified = 0;
+
+  for (const s of due) {
+    const update = { lastRunAt: now, nextRunAt: nextRunFor(s.frequency, now) };
+
+    try {
+      const visibility = await getSearchVisibility(s.userId);
+      const query = {
+        ...buildSearchQuery(s.filters || {}, s.userId, visibility),
+        createdAt: { $gt: s.lastRunAt || s.createdAt, $lte: now },
+      };
+
+      const [count, newest] = await Promise.all([
+        Profile.countDocuments(query),
+        Profile.find(query).sort({ createdAt: -1 }).limit(20).select('_id userId').lean(),
+      ]);
+      update.lastMatchCount = count;
+
+      if (count > 0) {
+        const created = await notifyUser({
+          userId: s.userId,
+          type: 'saved_search_match',
+          title: 'New matches for your saved search',
+          message: `${count} new profile${count === 1 ? '' : 's'} match "${s.name}".`,
+          relatedProfileId: newest[0]?._id,
+          relatedUserId: newest[0]?.userId,
+          actionUrl: `/search?saved=${s._id}`,
+          metadata: { savedSearchId: s._id, count, profileIds: newest.map((p) => p._id) },
+        });
+        if (created) notified++;
+      }
+    } catch {
+      // one broken search must not hold up the batch
+    }
+
+    // the window always moves on, even after a failure, so a bad search isn't retried every tick
+    await SavedSearch.updateOne({ _id: s._id }, { $set: update }).catch(() => {});
+  }
+
+  return { processed: due.length, notified };
+}
+
+let timer = null;
+
+export function startSavedSearchAlerts({ intervalMs = 15 * 60 * 1000 } = {}) {
+  if (timer) return () => {};
+  timer = setInterval(() => {
+    processSavedSearchAlerts().catch(() => {});
+  }, intervalMs);
+
+  timer.unref?.();
+
+  return () => {
+    clearInterval(timer);
+    timer = null;
+  };
+}
@@ -0,0 +1,39 @@
+import UserBlock from '../models/UserBlock.js';
+import Conversation from '../models/Conversation.js';
+import Interest from '../models/Interest.js';
+
+// Copy blocks made before UserBlock existed (Conversation.isBlocked, Interest 'blocked')
+// into UserBlock. Upserts only, so it is safe to run on every start.
+export async function migrateLegacyBlocks() {
+  const [conversations, interests] = await Promise.all([
+    Conversation.find({ isBlocked: true, blockedBy: { $ne: null } }).select('participants blockedBy').lean(),
+    Interest.find({ status: 'blocked' }).select('senderId receiverId').lean(),
+  ]);
+
+  const pairs = [];
+  for (const c of conversations) {
+    const blocker = c.blockedBy.toString();
+    const other = c.participants.find((p) => p.toString() !== blocker);
+    if (other) pairs.push({ blockerId: c.blockedBy, blockedId: other, source: 'chat' });
+  }
+  for (const i of interests) {
+    pairs.push({ blockerId: i.receiverId, blockedId: i.senderId, source: 'interest' });
+  }
+
+  if (!pairs.length) return { migrated: 0 };
+
+  const result = await UserBlock.bulkWrite(
+    pairs.map(({ blockerId, blockedId, source }) => ({
+      updateOne: {
+        filter: { blockerId, blockedId },
+        update: { $setOnInsert: { blockerId, blockedId, source } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return { migrated: result.upsertedCount || 0 };
+}
+
+export default migrateLegacyBlocks;
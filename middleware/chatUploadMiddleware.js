@@ -0,0 +1,51 @@
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import { CHAT_ATTACHMENT_TYPES } from '../utils/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+const typeFor = (mimeType) => Object.values(CHAT_ATTACHMENT_TYPES).find((t) => Object.hasOwn(t.mimeTypes, mimeType));
+const maxBytes = Math.max(...Object.values(CHAT_ATTACHMENT_TYPES).map((t) => t.maxBytes));
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, uploadsDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    // local copies are served statically, so the extension comes from the checked mime type, not the client's name
+    const ext = typeFor(file.mimetype).mimeTypes[file.mimetype];
+    cb(null, `chat-${uniqueSuffix}${ext}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  const type = typeFor(file.mimetype);
+  const ext = path.extname(file.originalname || '').toLowerCase();
+
+  if (type && type.extensions.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Unsupported attachment type (allowed: images, voice notes, PDF/Word/text files)'), false);
+  }
+};
+
+// per-kind size caps are enforced in services/chatAttachmentService.js
+const chatUpload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: maxBytes,
+    files: 1,
+  },
+});
+
+export default chatUpload;
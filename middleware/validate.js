@@ -1,12 +1,20 @@
+import fs from 'fs';
 import { validationResult } from 'express-validator';
 
-export const handleValidation = (req, res, next) => {
+// multer has already written the files by the time validation runs; don't leave them behind
+const discardUploads = (req) => {
+  const files = [req.file, ...Object.values(req.files || {}).flat()].filter(Boolean);
+  return Promise.all(files.map((f) => fs.promises.unlink(f.path).catch(() => {})));
+};
+
+export const handleValidation = async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
+    await discardUploads(req);
     return res.status(400).json({ 
       message: 'Validation failed',
       errors: errors.array() 
     });
   }
   next();
-};
\ No newline at end of file
+};
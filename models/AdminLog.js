@@ -57,6 +57,10 @@ const adminLogSchema = new Schema(
         'plan_deactivated',
         'plan_deleted_soft',
         'plans_reordered',
+
+        // success stories
+        'success_story_approved',
+        'success_story_rejected',
       ],
       required: true,
     },
@@ -0,0 +1,33 @@
+// ===== FILE: ./models/ChatAttachment.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Uploaded before the message is sent; claimed exactly once by send_message / sendMessage
+const chatAttachmentSchema = new Schema(
+  {
+    uploaderId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    conversationId: { type: Schema.Types.ObjectId, ref: 'Conversation', required: true },
+
+    kind: { type: String, enum: ['image', 'voice', 'file'], required: true },
+    url: { type: String, required: true },
+    publicId: { type: String, default: null },
+    resourceType: { type: String, default: null },
+    thumbnailUrl: { type: String, default: null },
+
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    name: { type: String, trim: true, maxlength: 255 },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    durationSec: { type: Number, default: null },
+
+    claimedAt: { type: Date, default: null },
+    messageId: { type: Schema.Types.ObjectId, ref: 'Message', default: null },
+  },
+  { timestamps: true }
+);
+
+chatAttachmentSchema.index({ uploaderId: 1, conversationId: 1, claimedAt: 1 });
+
+export default mongoose.model('ChatAttachment', chatAttachmentSchema);
@@ -11,6 +11,7 @@ const conversationSchema = new Schema({
     },
   ],
   lastMessage: {
+    messageId: { type: Schema.Types.ObjectId, ref: 'Message' },
     content: String,
     senderId: { type: Schema.Types.ObjectId, ref: 'User' },
     timestamp: Date,
@@ -21,6 +22,11 @@ const conversationSchema = new Schema({
     of: Number,
     default: new Map(),
   },
+  // per participant, keyed by userId like unreadCount. hiddenAt: deleted from their list until
+  // the next message; clearedAt: history before it is gone for them; archivedAt: moved to archive
+  hiddenAt: { type: Map, of: Date, default: new Map() },
+  clearedAt: { type: Map, of: Date, default: new Map() },
+  archivedAt: { type: Map, of: Date, default: new Map() },
   isBlocked: { type: Boolean, default: false },
   blockedBy: { type: Schema.Types.ObjectId, ref: 'User' },
 
@@ -1,8 +1,11 @@
 // ===== FILE: ./models/Interest.js =====
 
 import mongoose from 'mongoose';
+import { INTEREST_EXPIRY } from '../utils/constants.js';
 const { Schema } = mongoose;
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 const interestSchema = new Schema({
   senderId: {
     type: Schema.Types.ObjectId,
@@ -25,8 +28,8 @@ const interestSchema = new Schema({
   status: {
     type: String,
     enum: {
-      values: ['pending', 'accepted', 'declined', 'blocked', 'withdrawn'],
-      message: 'Status must be: pending, accepted, declined, blocked, or withdrawn',
+      values: ['pending', 'accepted', 'declined', 'blocked', 'withdrawn', 'expired'],
+      message: 'Status must be: pending, accepted, declined, blocked, withdrawn, or expired',
     },
     default: 'pending',
   },
@@ -35,6 +38,10 @@ const interestSchema = new Schema({
     maxlength: [200, 'Message cannot exceed 200 characters'],
     trim: true,
   },
+  // set when message was rendered from utils/interestTemplates.js, so it can be re-rendered per reader
+  templateId: { type: String, default: null },
+  templateVariables: { type: Schema.Types.Mixed, default: undefined },
+  templateLanguage: { type: String, default: null },
   declineReason: {
     type: String,
     maxlength: [500, 'Decline reason cannot exceed 500 characters'],
@@ -43,6 +50,15 @@ const interestSchema = new Schema({
 
   respondedAt: Date,
 
+  // paid/plan-granted priority interest, pinned at the top of the receiver's inbox while pending
+  isSuperInterest: { type: Boolean, default: false },
+  superInterestSource: { type: String, enum: ['plan', 'purchase', null], default: null },
+
+  // Expiry of a pending interest (see jobs/interestExpiry.js)
+  expiresAt: Date,
+  reminderSentAt: Date,
+  expiredAt: Date,
+
   createdAt: { type: Date, default: Date.now },
   updatedAt: Date,
 });
@@ -52,9 +68,11 @@ interestSchema.index({ senderId: 1, receiverId: 1 }, { unique: true });
 
 // Indexes for common queries
 interestSchema.index({ receiverId: 1, status: 1 });
+interestSchema.index({ receiverId: 1, isSuperInterest: 1, status: 1, createdAt: -1 });
 interestSchema.index({ senderId: 1, status: 1 });
 interestSchema.index({ createdAt: -1 });
 interestSchema.index({ status: 1, respondedAt: -1 });
+interestSchema.index({ status: 1, expiresAt: 1 });
 
 // Pre-save middleware
 interestSchema.pre('save', function (next) {
@@ -67,6 +85,10 @@ interestSchema.pre('save', function (next) {
     }
   }
 
+  if (this.isNew && !this.expiresAt) {
+    this.expiresAt = new Date((this.createdAt || new Date()).getTime() + INTEREST_EXPIRY.EXPIRY_DAYS * DAY_MS);
+  }
+
   this.updatedAt = new Date();
   next();
 });
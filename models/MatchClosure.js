@@ -0,0 +1,34 @@
+// ===== FILE: ./models/MatchClosure.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// "We found each other": one matched member proposes, the other confirms
+const matchClosureSchema = new Schema(
+  {
+    proposerId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    partnerId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    relationshipStatus: { type: String, enum: ['engaged', 'married'], required: true },
+
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'declined', 'cancelled'],
+      default: 'pending',
+      index: true,
+    },
+
+    // optional story; published only when both partners opt in
+    story: { type: String, trim: true, maxlength: 2000, default: null },
+    proposerSharesStory: { type: Boolean, default: false },
+    partnerSharesStory: { type: Boolean, default: false },
+    successStoryId: { type: Schema.Types.ObjectId, ref: 'SuccessStory', default: null },
+
+    respondedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+matchClosureSchema.index({ proposerId: 1, partnerId: 1, status: 1 });
+
+export default mongoose.model('MatchClosure', matchClosureSchema);
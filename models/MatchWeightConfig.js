@@ -0,0 +1,14 @@
+// ===== FILE: ./models/MatchWeightConfig.js =====
+import mongoose from 'mongoose';
+
+// Single document holding admin-tuned weights for the compatibility engine.
+// Missing keys fall back to DEFAULT_MATCH_WEIGHTS (utils/calculateMatchScore.js).
+const MatchWeightConfigSchema = new mongoose.Schema(
+  {
+    weights: { type: mongoose.Schema.Types.Mixed, default: {} },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('MatchWeightConfig', MatchWeightConfigSchema);
@@ -20,13 +20,45 @@ const messageSchema = new Schema({
   content: { type: String, required: true, maxlength: 2000 },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'system'],
+    enum: ['text', 'image', 'voice', 'file', 'system'],
     default: 'text',
   },
+  // set for image/voice/file messages; content then holds the caption or a label
+  attachment: {
+    attachmentId: { type: Schema.Types.ObjectId, ref: 'ChatAttachment' },
+    kind: { type: String, enum: ['image', 'voice', 'file'] },
+    url: String,
+    thumbnailUrl: String,
+    mimeType: String,
+    size: Number,
+    name: String,
+    width: Number,
+    height: Number,
+    durationSec: Number,
+  },
+  // set when the content filter masked or flagged this message (services/chatModerationService.js)
+  moderation: {
+    action: { type: String, enum: ['mask', 'flag'] },
+    rules: [String],
+  },
+  // sent -> delivered (reached one of the receiver's devices) -> read; isRead/readAt kept in step
+  status: { type: String, enum: ['sent', 'delivered', 'read'], default: 'sent' },
+  deliveredAt: Date,
   isRead: { type: Boolean, default: false },
   readAt: Date,
+  // previous versions, oldest first; capped at MESSAGE_EDITING.MAX_EDIT_HISTORY
+  editHistory: [
+    {
+      _id: false,
+      content: String,
+      editedAt: Date,
+    },
+  ],
+  editedAt: Date,
+  // isDeleted = unsent for everyone; deletedFor = hidden only for these participants
   isDeleted: { type: Boolean, default: false },
   deletedAt: Date,
+  deletedFor: [{ type: Schema.Types.ObjectId, ref: 'User' }],
   
   createdAt: { type: Date, default: Date.now },
 });
@@ -34,5 +66,6 @@ const messageSchema = new Schema({
 messageSchema.index({ conversationId: 1, createdAt: -1 });
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ receiverId: 1, isRead: 1 });
+messageSchema.index({ receiverId: 1, status: 1 });
 
 export default mongoose.model('Message', messageSchema);
\ No newline at end of file
@@ -13,11 +13,17 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       enum: [
         'interest_received',
+        'super_interest_received',
         'interest_accepted',
         'interest_declined',
+        'interest_expiring',
+        'interest_expired',
         'new_message',
         'profile_view',
         'match',
+        'match_closure',
+        'success_story',
+        'saved_search_match',
         'subscription',
         'system',
       ],
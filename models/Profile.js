@@ -1,5 +1,6 @@
 // ===== FIXED FILE: ./models/Profile.js =====
 import mongoose from 'mongoose';
+import { normalizedProfileFields } from '../utils/profileNormalization.js';
 
 const { Schema, model } = mongoose;
 
@@ -40,6 +41,7 @@ const profileSchema = new Schema(
     bio: { type: String, maxlength: 1000 },
 
     height: { type: Schema.Types.Mixed },
+    heightCm: { type: Number, default: null }, // normalized from height
     weight: { type: Number },
 
     bodyType: { type: String, default: null },
@@ -56,8 +58,14 @@ const profileSchema = new Schema(
     country: { type: String, required: true },
     state: { type: String },
     city: { type: String, required: true },
+    // GeoJSON point resolved from city/state/country via utils/gazetteer.js (null if unknown)
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }, // [lng, lat]
+    },
 
     education: { type: String },
+    educationLevel: { type: Number, default: null }, // index into EDUCATION_LEVELS
     educationField: { type: String, default: null },
     institution: { type: String, default: null },
 
@@ -67,6 +75,11 @@ const profileSchema = new Schema(
     jobTitle: { type: String },
     monthlyIncome: { type: String },
     annualIncome: { type: String },
+    // normalized from annualIncome / monthlyIncome
+    annualIncomeMinor: { type: Number, default: null },
+    incomeCurrency: { type: String, default: null },
+    // NORMALIZATION_VERSION the normalized fields were computed with
+    normalizationVersion: { type: Number },
 
     citizenship: { type: String, default: null },
     residencyStatus: { type: String, default: null },
@@ -82,6 +95,10 @@ const profileSchema = new Schema(
 
     isActive: { type: Boolean, default: true },
 
+    // set by a confirmed MatchClosure; engaged/married profiles drop out of search
+    relationshipStatus: { type: String, enum: ['single', 'engaged', 'married'], default: 'single' },
+    foundPartnerAt: { type: Date, default: null },
+
     isVerified: { type: Boolean, default: false },
     verifiedAt: { type: Date },
 
@@ -102,6 +119,38 @@ profileSchema.index({ gender: 1, age: 1 });
 profileSchema.index({ country: 1, city: 1 });
 profileSchema.index({ citizenship: 1 });
 profileSchema.index({ isActive: 1 });
+profileSchema.index({ relationshipStatus: 1 });
 profileSchema.index({ agencyId: 1, isAgencyManaged: 1 });
+profileSchema.index({ heightCm: 1 });
+profileSchema.index({ incomeCurrency: 1, annualIncomeMinor: 1 });
+profileSchema.index({ educationLevel: 1 });
+profileSchema.index({ location: '2dsphere' });
+
+// keyword search (?q=); fields mirror TEXT_SEARCH_FIELDS in utils/searchSnippets.js
+profileSchema.index(
+  {
+    occupation: 'text',
+    jobTitle: 'text',
+    bio: 'text',
+    hobbies: 'text',
+    interests: 'text',
+    educationField: 'text',
+    institution: 'text',
+  },
+  {
+    name: 'profile_keyword_search',
+    weights: { occupation: 10, jobTitle: 8, hobbies: 5, interests: 5, educationField: 4, institution: 3, bio: 2 },
+    default_language: 'english',
+    language_override: 'textSearchLanguage', // never a real field; "language" must not switch stemmers
+  }
+);
+
+// keep the numeric search fields in step with their free-form sources
+profileSchema.pre('save', function () {
+  const sources = ['height', 'annualIncome', 'monthlyIncome', 'country', 'state', 'city', 'education'];
+  if (this.isNew || sources.some((f) => this.isModified(f))) {
+    Object.assign(this, normalizedProfileFields(this));
+  }
+});
 
 export default model('Profile', profileSchema);
\ No newline at end of file
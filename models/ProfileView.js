@@ -0,0 +1,27 @@
+// ===== FILE: ./models/ProfileView.js =====
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One document per viewer per viewed profile per day (UTC)
+const profileViewSchema = new Schema(
+  {
+    viewerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    viewerProfileId: { type: Schema.Types.ObjectId, ref: 'Profile', default: null },
+
+    viewedUserId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    viewedProfileId: { type: Schema.Types.ObjectId, ref: 'Profile', required: true },
+
+    // viewer was browsing incognito: counted, but never shown in the visitor feed
+    isAnonymous: { type: Boolean, default: false },
+
+    day: { type: String, required: true }, // YYYY-MM-DD
+    viewCount: { type: Number, default: 1 },
+    viewedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+profileViewSchema.index({ viewerId: 1, viewedProfileId: 1, day: 1 }, { unique: true });
+profileViewSchema.index({ viewedUserId: 1, viewedAt: -1 });
+
+export default mongoose.model('ProfileView', profileViewSchema);
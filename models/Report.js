@@ -3,7 +3,18 @@ import mongoose from 'mongoose';
 const reportSchema = new mongoose.Schema(
   {
     reportedUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    reportedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // null for reports raised by the chat content filter
+    reportedByUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: function () {
+        return this.source !== 'auto_moderation';
+      },
+    },
+    source: { type: String, enum: ['user', 'auto_moderation'], default: 'user' },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    messageIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Message' }],
+    moderationRules: { type: [String], default: [] },
     reportType: {
       type: String,
       enum: [
@@ -31,5 +42,6 @@ reportSchema.index({ reportedUserId: 1, status: 1 });
 reportSchema.index({ reportedByUserId: 1 });
 reportSchema.index({ reportType: 1 });
 reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ source: 1, reportedUserId: 1, conversationId: 1, status: 1 });
 
 export default mongoose.model('Report', reportSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+// ===== FILE: ./models/SavedSearch.js =====
+import mongoose from 'mongoose';
+import { SAVED_SEARCH_FREQUENCIES } from '../utils/constants.js';
+
+const { Schema } = mongoose;
+
+const savedSearchSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+
+    // searchProfiles query params (see utils/searchQuery.js SEARCH_FILTER_KEYS)
+    filters: { type: Schema.Types.Mixed, default: {} },
+
+    frequency: { type: String, enum: SAVED_SEARCH_FREQUENCIES, default: 'daily' },
+    alertsEnabled: { type: Boolean, default: true },
+
+    // alert bookkeeping: profiles created after lastRunAt are "new"
+    lastRunAt: { type: Date, default: Date.now },
+    nextRunAt: { type: Date, default: Date.now },
+    lastMatchCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ alertsEnabled: 1, nextRunAt: 1 });
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
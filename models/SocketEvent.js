@@ -0,0 +1,24 @@
+// ===== FILE: ./models/SocketEvent.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Capped log the Mongo socket adapter tails to relay broadcasts between processes.
+// Capped + tailable cursor works on a standalone mongod, no replica set needed.
+const socketEventSchema = new Schema(
+  {
+    uid: { type: String, required: true }, // adapter id of the publishing server
+    nsp: { type: String, required: true },
+    type: { type: Number, required: true },
+    data: { type: Schema.Types.Mixed },
+    // set on replies to fetchSockets/serverSideEmit; only the requesting server reads them
+    targetUid: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    capped: { size: 16 * 1024 * 1024, max: 20000 },
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('SocketEvent', socketEventSchema);
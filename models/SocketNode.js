@@ -0,0 +1,15 @@
+// ===== FILE: ./models/SocketNode.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Heartbeat per server process; presence rows of a node that stops beating are swept by the others
+const socketNodeSchema = new Schema({
+  serverId: { type: String, required: true, unique: true },
+  heartbeatAt: { type: Date, default: Date.now },
+});
+
+// long-dead nodes don't need a row at all
+socketNodeSchema.index({ heartbeatAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 });
+
+export default mongoose.model('SocketNode', socketNodeSchema);
@@ -0,0 +1,14 @@
+// ===== FILE: ./models/SocketPresence.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One document per connected socket when SOCKET_ADAPTER=mongo (see socket/presence.js)
+const socketPresenceSchema = new Schema({
+  socketId: { type: String, required: true, unique: true },
+  userId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  serverId: { type: String, required: true, index: true },
+  connectedAt: { type: Date, default: Date.now },
+});
+
+export default mongoose.model('SocketPresence', socketPresenceSchema);
@@ -14,6 +14,16 @@ const SubscriptionPlanSchema = new mongoose.Schema(
     priceMinor: { type: Number, required: true, min: 0 },  // minor units
 
     features: [{ type: String }], // shown on pricing page
+
+    // usage quotas: null = unlimited, unset = DEFAULT_PLAN_LIMITS for the tier
+    limits: {
+      interestsPerDay: { type: Number, min: 0 },
+      contactUnlocksPerMonth: { type: Number, min: 0 },
+      chatInitiationsPerDay: { type: Number, min: 0 },
+      superInterestsPerMonth: { type: Number, min: 0 },
+      chatAttachmentsPerDay: { type: Number, min: 0 },
+    },
+
     isActive: { type: Boolean, default: true },
     sortOrder: { type: Number, default: 0 },
   },
@@ -0,0 +1,64 @@
+// ===== FILE: ./models/SuccessStory.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+const storyPhotoSchema = new Schema(
+  {
+    url: { type: String, required: true },
+    publicId: { type: String, default: null },
+  },
+  { _id: true }
+);
+
+const consentSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    consentedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const successStorySchema = new Schema(
+  {
+    matchClosureId: { type: Schema.Types.ObjectId, ref: 'MatchClosure', default: null, index: true },
+    marriageSuccessId: { type: Schema.Types.ObjectId, ref: 'MarriageSuccess', default: null },
+    submittedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+
+    partnerIds: [{ type: Schema.Types.ObjectId, ref: 'User', required: true }],
+    partnerProfileIds: [{ type: Schema.Types.ObjectId, ref: 'Profile' }],
+    // agency that managed either partner (drives the agency public page filter)
+    agencyId: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+
+    relationshipStatus: { type: String, enum: ['engaged', 'married'], required: true },
+    title: { type: String, trim: true, maxlength: 120, default: null },
+    story: { type: String, required: true, trim: true, maxlength: 2000 },
+    photos: { type: [storyPhotoSchema], default: [] },
+
+    // every partner must consent before the story goes to review
+    consents: { type: [consentSchema], default: [] },
+
+    status: {
+      type: String,
+      enum: ['awaiting_consent', 'pending', 'approved', 'rejected'],
+      default: 'awaiting_consent',
+      index: true,
+    },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, maxlength: 500, default: null },
+    publishedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+successStorySchema.index({ partnerIds: 1 });
+successStorySchema.index({ status: 1, publishedAt: -1 });
+successStorySchema.index({ agencyId: 1, status: 1, publishedAt: -1 });
+
+successStorySchema.methods.hasAllConsents = function hasAllConsents() {
+  const consented = new Set(this.consents.map((c) => c.userId.toString()));
+  return this.partnerIds.every((id) => consented.has(id.toString()));
+};
+
+export default mongoose.model('SuccessStory', successStorySchema);
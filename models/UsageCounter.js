@@ -0,0 +1,21 @@
+// ===== FILE: ./models/UsageCounter.js =====
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One document per user, quota metric and period (see services/quotaService.js)
+const usageCounterSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    metric: { type: String, required: true },
+    periodStart: { type: Date, required: true },
+    count: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+usageCounterSchema.index({ userId: 1, metric: 1, periodStart: 1 }, { unique: true });
+// old periods are never read again
+usageCounterSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 62 });
+
+export default mongoose.model('UsageCounter', usageCounterSchema);
@@ -70,6 +70,9 @@ const userSchema = new Schema(
 
     contactsUnlocked: [{ type: Schema.Types.ObjectId, ref: 'User', default: [] }],
 
+    // purchased per-use super interests (plan allowance is tracked by quotaService)
+    superInterestCredits: { type: Number, default: 0, min: 0 },
+
     refreshToken: String,
     emailVerificationToken: String,
     emailVerificationExpiry: Date,
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// One row per (blocker, blocked) pair. Blocks are enforced in both directions.
+const userBlockSchema = new Schema(
+  {
+    blockerId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    blockedId: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+    // where the block was made (chat, interest inbox, profile page)
+    source: { type: String, enum: ['chat', 'interest', 'profile'], default: 'profile' },
+    reason: { type: String, maxlength: 500, default: null },
+  },
+  { timestamps: true }
+);
+
+userBlockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+userBlockSchema.index({ blockerId: 1, createdAt: -1 });
+
+export default mongoose.model('UserBlock', userBlockSchema);
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getMatchWeightConfig,
+  upsertMatchWeightConfig,
+  resetMatchWeightConfig,
+} from '../controllers/adminMatchWeightController.js';
+
+const router = Router();
+
+router.get('/', protect, admin, getMatchWeightConfig);
+router.put('/', protect, admin, upsertMatchWeightConfig);
+router.delete('/', protect, admin, resetMatchWeightConfig);
+
+export default router;
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import { handleValidation } from '../middleware/validate.js';
+import { mongoIdValidator, successStoryListValidator } from '../validators/commonValidator.js';
+import { adminListStories, adminApproveStory, adminRejectStory } from '../controllers/successStoryController.js';
+
+const router = Router();
+
+router.get('/', protect, admin, successStoryListValidator, handleValidation, adminListStories);
+router.patch('/:id/approve', protect, admin, mongoIdValidator, handleValidation, adminApproveStory);
+router.patch(
+  '/:id/reject',
+  protect,
+  admin,
+  mongoIdValidator,
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason too long (max 500)'),
+  handleValidation,
+  adminRejectStory
+);
+
+export default router;
@@ -0,0 +1,15 @@
+// ===== FILE: ./routes/blockRoutes.js =====
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { handleValidation } from '../middleware/validate.js';
+import { userIdParamValidator } from '../validators/commonValidator.js';
+import { listBlocks, createBlock, removeBlock } from '../controllers/blockController.js';
+
+const router = express.Router();
+
+// Blocks are mutual: neither side sees, contacts or gets notified about the other
+router.get('/', protect, listBlocks);
+router.post('/:userId', protect, userIdParamValidator, handleValidation, createBlock);
+router.delete('/:userId', protect, userIdParamValidator, handleValidation, removeBlock);
+
+export default router;
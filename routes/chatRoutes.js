@@ -1,15 +1,21 @@
 // ===== FILE: ./routes/chatRoutes.js =====
 import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
+import chatUpload from '../middleware/chatUploadMiddleware.js';
 import {
   getConversations,
   getOrCreateConversation,  // ✅ Correct
   getConversation,
   getMessages,
   sendMessage,
+  uploadAttachment,
   markAsRead,
+  editMessage,
+  getMessageHistory,
   deleteMessage,
   deleteConversation,
+  archiveConversation,
+  unarchiveConversation,
   getUnreadCount,
   blockUser,
   unblockUser,
@@ -39,13 +45,24 @@ router.get('/:conversationId/messages', protect, getMessages);
 // Send message
 router.post('/message', protect, sendMessage);
 
-// Delete message
+// Upload an image / voice note / file, then send it via /message with attachmentId
+router.post('/:conversationId/attachments', protect, chatUpload.single('file'), uploadAttachment);
+
+// Edit message / view its edit history
+router.put('/message/:messageId', protect, editMessage);
+router.get('/message/:messageId/history', protect, getMessageHistory);
+
+// Delete message (?scope=me|everyone)
 router.delete('/message/:messageId', protect, deleteMessage);
 
 // Mark conversation as read
 router.put('/:conversationId/read', protect, markAsRead);
 
-// Delete conversation
+// Archive / unarchive (per user; GET /?archived=true lists the archive)
+router.put('/:conversationId/archive', protect, archiveConversation);
+router.put('/:conversationId/unarchive', protect, unarchiveConversation);
+
+// Delete conversation (for the caller only)
 router.delete('/:conversationId', protect, deleteConversation);
 
 // Block/Unblock
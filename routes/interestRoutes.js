@@ -2,9 +2,15 @@
 import express from 'express';
 import { protect } from '../middleware/authMiddleware.js';
 import { handleValidation } from '../middleware/validate.js';
-import { interestValidator, userIdParamValidator, mongoIdValidator } from '../validators/commonValidator.js';
+import {
+  interestValidator,
+  interestTemplatesValidator,
+  userIdParamValidator,
+  mongoIdValidator,
+} from '../validators/commonValidator.js';
 import {
   sendInterest,
+  getInterestTemplates,
   acceptInterest,
   declineInterest,
   blockInterest,
@@ -31,6 +37,9 @@ const router = express.Router();
 // Send new interest
 router.post('/', protect, interestValidator, handleValidation, sendInterest);
 
+// Icebreaker templates filled from both profiles
+router.get('/templates', protect, interestTemplatesValidator, handleValidation, getInterestTemplates);
+
 // Get interests
 router.get('/sent', protect, getInterestsSent);
 router.get('/received', protect, getInterestsReceived);
@@ -0,0 +1,23 @@
+// ===== FILE: ./routes/matchClosureRoutes.js =====
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { handleValidation } from '../middleware/validate.js';
+import { matchClosureValidator, matchClosureResponseValidator } from '../validators/commonValidator.js';
+import {
+  proposeClosure,
+  listClosures,
+  confirmClosure,
+  declineClosure,
+  cancelClosure,
+} from '../controllers/matchClosureController.js';
+
+const router = express.Router();
+
+// "Engaged / found my partner": one matched member proposes, the other confirms
+router.get('/', protect, listClosures);
+router.post('/', protect, matchClosureValidator, handleValidation, proposeClosure);
+router.post('/:id/confirm', protect, matchClosureResponseValidator, handleValidation, confirmClosure);
+router.post('/:id/decline', protect, matchClosureResponseValidator, handleValidation, declineClosure);
+router.delete('/:id', protect, matchClosureResponseValidator, handleValidation, cancelClosure);
+
+export default router;
@@ -6,7 +6,10 @@ import {
   searchProfilesValidator,
   quickSearchValidator,
   suggestedProfilesValidator,
+  createSavedSearchValidator,
+  updateSavedSearchValidator,
 } from '../validators/searchValidator.js';
+import { mongoIdValidator } from '../validators/commonValidator.js';
 
 import {
   searchProfiles,
@@ -16,6 +19,12 @@ import {
   searchById,
   getFilterOptions,
 } from '../controllers/searchController.js';
+import {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from '../controllers/savedSearchController.js';
 
 const router = express.Router();
 
@@ -31,8 +40,14 @@ router.get('/suggested', protect, suggestedProfilesValidator, handleValidation,
 // Recent profiles
 router.get('/recent', protect, getRecentProfiles);
 
-// Filter options
-router.get('/filters/options', protect, getFilterOptions);
+// Filter options + live facet counts (accepts the same filters as search)
+router.get('/filters/options', protect, searchProfilesValidator, handleValidation, getFilterOptions);
+
+// Saved searches (+ new-match alerts)
+router.get('/saved', protect, listSavedSearches);
+router.post('/saved', protect, createSavedSearchValidator, handleValidation, createSavedSearch);
+router.put('/saved/:id', protect, mongoIdValidator, updateSavedSearchValidator, handleValidation, updateSavedSearch);
+router.delete('/saved/:id', protect, mongoIdValidator, handleValidation, deleteSavedSearch);
 
 // Search by profile ID
 router.get('/by-id/:profileId', protect, searchById);
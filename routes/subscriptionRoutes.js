@@ -5,6 +5,7 @@ import {
   getPlans,
   getMySubscription,
   createCheckoutSession,
+  createSuperInterestCheckout,
   createPaymentIntent,
   verifyPayment,
   cancelSubscription,
@@ -24,6 +25,7 @@ router.get('/plans', optionalAuth, getPlans);
 // Protected
 router.get('/my-subscription', protect, getMySubscription);
 router.post('/create-checkout', protect, createCheckoutSession);
+router.post('/super-interest/checkout', protect, createSuperInterestCheckout);
 router.post('/create-payment-intent', protect, createPaymentIntent);
 router.post('/verify', protect, verifyPayment);
 router.post('/cancel', protect, cancelSubscription);
@@ -0,0 +1,36 @@
+// ===== FILE: ./routes/successStoryRoutes.js =====
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import { handleValidation } from '../middleware/validate.js';
+import upload from '../middleware/uploadMiddleware.js';
+import { mongoIdValidator, successStoryValidator, successStoryListValidator } from '../validators/commonValidator.js';
+import { LIMITS } from '../utils/constants.js';
+import {
+  listPublicStories,
+  getPublicStory,
+  submitStory,
+  getMyStories,
+  consentToStory,
+  withdrawStoryConsent,
+} from '../controllers/successStoryController.js';
+
+const router = express.Router();
+
+// Couples (both partners must consent before admin review)
+router.get('/mine', protect, getMyStories);
+router.post(
+  '/',
+  protect,
+  upload.array('photos', LIMITS.MAX_STORY_PHOTOS),
+  successStoryValidator,
+  handleValidation,
+  submitStory
+);
+router.post('/:id/consent', protect, mongoIdValidator, handleValidation, consentToStory);
+router.delete('/:id/consent', protect, mongoIdValidator, handleValidation, withdrawStoryConsent);
+
+// Public (marketing site + agency public pages)
+router.get('/', successStoryListValidator, handleValidation, listPublicStories);
+router.get('/:id', mongoIdValidator, handleValidation, getPublicStory);
+
+export default router;
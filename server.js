@@ -26,6 +26,7 @@ import { Server } from 'socket.io';
 import { apiLimiter, authLimiter } from './middleware/rateLimiter.js';
 import errorHandler from './middleware/errorHandler.js';
 import socketHandler from './socket/socketHandler.js';
+import { createSocketCluster } from './socket/cluster.js';
 
 import authRoutes from './routes/authRoutes.js';
 import profileRoutes from './routes/profileRoutes.js';
@@ -49,6 +50,8 @@ import agencyReputationRoutes from './routes/agencyReputationRoutes.js';
 import adminAgencyLevelRoutes from './routes/adminAgencyLevelRoutes.js';
 import adminVerifiedBadgeRoutes from './routes/adminVerifiedBadgeRoutes.js';
 import adminAgencyReviewRoutes from './routes/adminAgencyReviewRoutes.js';
+import adminMatchWeightRoutes from './routes/adminMatchWeightRoutes.js';
+import adminSuccessStoryRoutes from './routes/adminSuccessStoryRoutes.js';
 import agencyEntitlementPaymentRoutes from './routes/agencyEntitlementPaymentRoutes.js';
 
 import agencyOrderRoutes from './routes/agencyOrderRoutes.js';
@@ -59,8 +62,16 @@ import agencyFeedbackRoutes from './routes/agencyFeedbackRoutes.js';
 import agencyPublicRoutes from './routes/agencyPublicRoutes.js';
 
 import { startPayoutProcessor } from './jobs/payoutProcessor.js';
+import { startSavedSearchAlerts } from './jobs/savedSearchAlerts.js';
+import { startIncognitoExpiry } from './jobs/incognitoExpiry.js';
+import { startInterestExpiry } from './jobs/interestExpiry.js';
+import { backfillNormalizedProfileFields } from './jobs/profileNormalizationBackfill.js';
+import { migrateLegacyBlocks } from './jobs/userBlockMigration.js';
 
 import dashboardRoutes from './routes/dashboardRoutes.js';
+import blockRoutes from './routes/blockRoutes.js';
+import matchClosureRoutes from './routes/matchClosureRoutes.js';
+import successStoryRoutes from './routes/successStoryRoutes.js';
 // ===== ENV VALIDATION =====
 // 🔴 Fail fast with a clear message if required env vars are missing
 const REQUIRED_ENV = ['MONGODB_URI', 'JWT_SECRET'];
@@ -78,11 +89,15 @@ const allowedOrigins = [
   
 ].filter(Boolean);
 
+// SOCKET_ADAPTER=mongo shares presence and room broadcasts across instances
+const socketCluster = createSocketCluster();
+
 const io = new Server(httpServer, {
   cors: { origin: allowedOrigins, credentials: true },
+  ...(socketCluster.adapter && { adapter: socketCluster.adapter }),
 });
 
-const socketInstance = socketHandler(io);
+const socketInstance = socketHandler(io, { presence: socketCluster.presence });
 app.set('io', io);
 app.set('socketInstance', socketInstance);
 
@@ -150,6 +165,8 @@ app.use('/api/admin/finance', adminFinanceRoutes);
 app.use('/api/admin/agency-levels', adminAgencyLevelRoutes);
 app.use('/api/admin/verified-badge', adminVerifiedBadgeRoutes);
 app.use('/api/admin/agency-reviews', adminAgencyReviewRoutes);
+app.use('/api/admin/match-weights', adminMatchWeightRoutes);
+app.use('/api/admin/success-stories', adminSuccessStoryRoutes);
 
 app.use('/api/reports', reportRoutes);
 app.use('/api/notifications', notificationRoutes);
@@ -161,6 +178,11 @@ app.use('/api/agency', agencyRoutes);
 
 app.use('/api/users', userRoutes);
 
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/match-closures', matchClosureRoutes);
+app.use('/api/success-stories', successStoryRoutes);
+
 app.use('/api', agencyFeedbackRoutes);
 app.use('/api', agencyPublicRoutes);
 
@@ -172,8 +194,6 @@ app.use((req, res) => {
 // ===== ERROR HANDLER =====
 app.use(errorHandler);
 
-app.use('/api/dashboard', dashboardRoutes);
-
 // ===== DATABASE + SERVER START =====
 const PORT = Number(process.env.PORT) || 10000; // Render injects PORT
 const MONGODB_URI = process.env.MONGODB_URI;
@@ -181,6 +201,9 @@ const MONGODB_URI = process.env.MONGODB_URI;
 mongoose.set('strictQuery', false);
 
 let stopPayoutProcessor = null;
+let stopSavedSearchAlerts = null;
+let stopIncognitoExpiry = null;
+let stopInterestExpiry = null;
 
 mongoose
   .connect(MONGODB_URI, {
@@ -190,6 +213,18 @@ mongoose
     console.log('MongoDB connected successfully');
 
     stopPayoutProcessor = startPayoutProcessor({ intervalMs: 10 * 60 * 1000 });
+    stopSavedSearchAlerts = startSavedSearchAlerts({ intervalMs: 15 * 60 * 1000 });
+    stopIncognitoExpiry = startIncognitoExpiry({ intervalMs: 60 * 60 * 1000 });
+    stopInterestExpiry = startInterestExpiry({ intervalMs: 60 * 60 * 1000 });
+
+    // one-off per profile; no-op once every profile has the normalized search fields
+    backfillNormalizedProfileFields()
+      .then(({ updated }) => updated && console.log(`Normalized search fields on ${updated} profiles`))
+      .catch((err) => console.error('Profile normalization backfill failed:', err.message));
+
+    migrateLegacyBlocks()
+      .then(({ migrated }) => migrated && console.log(`Migrated ${migrated} legacy blocks`))
+      .catch((err) => console.error('Legacy block migration failed:', err.message));
 
     // 🔴 '0.0.0.0' required for Render — listens on all interfaces
     httpServer.listen(PORT, '0.0.0.0', () => {
@@ -206,7 +241,10 @@ const shutdown = async (signal) => {
   console.log(`${signal} received. Shutting down gracefully...`);
 
   stopPayoutProcessor?.();
-  socketInstance?.cleanup?.();
+  stopSavedSearchAlerts?.();
+  stopIncognitoExpiry?.();
+  stopInterestExpiry?.();
+  await socketInstance?.cleanup?.();
 
   httpServer.close(async () => {
     try {
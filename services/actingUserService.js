@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { AuthorizationError } from '../utils/errors.js';
+
+/**
+ * The member a request acts for. Agencies may pass `onBehalfOf` (body or query)
+ * for a managed profile they own, since managed users cannot log in themselves.
+ * @throws {AuthorizationError} when onBehalfOf is not one of the agency's managed users
+ */
+export async function resolveActingUserId(req) {
+  const onBehalfOf = req.body?.onBehalfOf || req.query?.onBehalfOf;
+  if (!onBehalfOf) return req.user._id;
+
+  const allowed =
+    req.user.role === 'agency' &&
+    mongoose.Types.ObjectId.isValid(onBehalfOf) &&
+    (await User.exists({ _id: onBehalfOf, isManagedProfile: true, managedByAgencyId: req.user._id }));
+  if (!allowed) throw new AuthorizationError('Not allowed to act for this member');
+
+  return new mongoose.Types.ObjectId(String(onBehalfOf));
+}
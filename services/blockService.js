@@ -0,0 +1,74 @@
+import UserBlock from '../models/UserBlock.js';
+import Conversation from '../models/Conversation.js';
+import Interest from '../models/Interest.js';
+
+// Single enforcement layer for blocks: search, profile fetch, interests, chat and
+// notifications all ask this service instead of reading Conversation/Interest flags.
+
+/**
+ * Block otherUser. Idempotent. Keeps the legacy Conversation.isBlocked flag and any
+ * pending interest from the blocked user in step for older clients.
+ */
+export async function blockUser({ blockerId, blockedId, source = 'profile', reason = null }) {
+  const block = await UserBlock.findOneAndUpdate(
+    { blockerId, blockedId },
+    { $setOnInsert: { blockerId, blockedId, source, reason } },
+    { upsert: true, new: true }
+  );
+
+  await Promise.all([
+    Conversation.updateMany(
+      { participants: { $all: [blockerId, blockedId] } },
+      { $set: { isBlocked: true, blockedBy: blockerId } }
+    ),
+    Interest.updateMany(
+      { senderId: blockedId, receiverId: blockerId, status: 'pending' },
+      { $set: { status: 'blocked', respondedAt: new Date() } }
+    ),
+  ]);
+
+  return block;
+}
+
+/** Undo a block made by blockerId. Blocked interests come back as declined, not pending. */
+export async function unblockUser({ blockerId, blockedId }) {
+  const { deletedCount } = await UserBlock.deleteOne({ blockerId, blockedId });
+
+  await Promise.all([
+    Conversation.updateMany(
+      { participants: { $all: [blockerId, blockedId] }, blockedBy: blockerId },
+      { $set: { isBlocked: false }, $unset: { blockedBy: 1 } }
+    ),
+    Interest.updateMany(
+      { senderId: blockedId, receiverId: blockerId, status: 'blocked' },
+      { $set: { status: 'declined' } }
+    ),
+  ]);
+
+  return deletedCount > 0;
+}
+
+/** True when either user has blocked the other. */
+export async function isBlockedBetween(userA, userB) {
+  if (!userA || !userB) return false;
+  const hit = await UserBlock.exists({
+    $or: [
+      { blockerId: userA, blockedId: userB },
+      { blockerId: userB, blockedId: userA },
+    ],
+  });
+  return !!hit;
+}
+
+/** Everyone userId blocked or was blocked by (ObjectIds). */
+export async function getBlockedUserIds(userId) {
+  if (!userId) return [];
+  const rows = await UserBlock.find({ $or: [{ blockerId: userId }, { blockedId: userId }] })
+    .select('blockerId blockedId')
+    .lean();
+
+  const me = userId.toString();
+  return rows.map((r) => (r.blockerId.toString() === me ? r.blockedId : r.blockerId));
+}
+
+export default { blockUser, unblockUser, isBlockedBetween, getBlockedUserIds };
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import cloudinary, { hasCloudinary } from '../config/cloudinary.js';
+import ChatAttachment from '../models/ChatAttachment.js';
+import uploadToCloudinary from '../utils/uploadToCloudinary.js';
+import { consumeQuota, releaseQuota } from './quotaService.js';
+import { moderateChatMessage } from './chatModerationService.js';
+import { ValidationError } from '../utils/errors.js';
+import { CHAT_ATTACHMENT_TYPES } from '../utils/constants.js';
+
+const FOLDER = 'matrimony/chat';
+
+// Cloudinary stores audio under the "video" resource type
+const RESOURCE_TYPES = { image: 'image', voice: 'video', file: 'raw' };
+
+const LABELS = {
+  image: () => '📷 Photo',
+  voice: () => '🎤 Voice note',
+  file: (a) => `📎 ${a.name || 'File'}`,
+};
+
+export const attachmentKindFor = (mimeType) =>
+  Object.keys(CHAT_ATTACHMENT_TYPES).find((kind) => Object.hasOwn(CHAT_ATTACHMENT_TYPES[kind].mimeTypes, mimeType)) ||
+  null;
+
+const thumbnailFor = (kind, uploaded) => {
+  if (kind !== 'image') return null;
+  if (!hasCloudinary || !uploaded.publicId) return uploaded.url;
+  return cloudinary.url(uploaded.publicId, { width: 320, height: 320, crop: 'limit', secure: true });
+};
+
+const removeLocalFile = (file) => {
+  try {
+    fs.unlinkSync(file.path);
+  } catch {
+    // already moved/removed
+  }
+};
+
+/**
+ * Validate, upload and record a chat attachment for later use in a message.
+ * Counts against the sender's chatAttachmentsPerDay quota.
+ * @param {Object} file - multer file (disk storage)
+ * @param {number} [durationSec] - client-reported voice note length, used when Cloudinary can't tell
+ * @throws {ValidationError|QuotaExceededError|MessageBlockedError}
+ */
+export const createChatAttachment = async ({ user, conversationId, file, durationSec }) => {
+  const kind = attachmentKindFor(file?.mimetype);
+  if (!kind) {
+    if (file) removeLocalFile(file);
+    throw new ValidationError('Unsupported attachment type');
+  }
+
+  const rules = CHAT_ATTACHMENT_TYPES[kind];
+  if (file.size > rules.maxBytes) {
+    removeLocalFile(file);
+    throw new ValidationError(`${kind} attachments are limited to ${Math.round(rules.maxBytes / 1024 / 1024)}MB`);
+  }
+
+  // the file name is shown as message text and in previews, so it goes through the content filter
+  let name;
+  try {
+    name = moderateChatMessage(String(file.originalname || '').slice(0, 255), user).content;
+    await consumeQuota(user, 'chatAttachmentsPerDay');
+  } catch (e) {
+    removeLocalFile(file);
+    throw e;
+  }
+
+  try {
+    const uploaded = await uploadToCloudinary(file.path, FOLDER, { resource_type: RESOURCE_TYPES[kind] });
+
+    const duration = uploaded.durationSec ?? (Number(durationSec) || null);
+    if (kind === 'voice' && duration && duration > rules.maxDurationSec) {
+      if (uploaded.publicId) {
+        await cloudinary.uploader.destroy(uploaded.publicId, { resource_type: RESOURCE_TYPES[kind] }).catch(() => {});
+      }
+      throw new ValidationError(`Voice notes are limited to ${rules.maxDurationSec} seconds`);
+    }
+
+    return await ChatAttachment.create({
+      uploaderId: user._id,
+      conversationId,
+      kind,
+      url: uploaded.url,
+      publicId: uploaded.publicId,
+      resourceType: uploaded.resourceType || RESOURCE_TYPES[kind],
+      thumbnailUrl: thumbnailFor(kind, uploaded),
+      mimeType: file.mimetype,
+      size: uploaded.bytes || file.size,
+      name,
+      width: uploaded.width ?? null,
+      height: uploaded.height ?? null,
+      durationSec: kind === 'voice' ? duration : null,
+    });
+  } catch (e) {
+    removeLocalFile(file);
+    await releaseQuota(user, 'chatAttachmentsPerDay');
+    throw e;
+  }
+};
+
+/**
+ * Take an uploaded attachment for a message; each attachment can be sent once,
+ * only by its uploader and only in the conversation it was uploaded to.
+ * @returns {Promise<Object|null>} the attachment, or null if not claimable
+ */
+export const claimChatAttachment = ({ attachmentId, senderId, conversationId }) =>
+  ChatAttachment.findOneAndUpdate(
+    { _id: attachmentId, uploaderId: senderId, conversationId, claimedAt: null },
+    { $set: { claimedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+// Undo a claim when the message it was meant for couldn't be saved, so it can be sent again
+export const releaseChatAttachment = (attachmentId) =>
+  ChatAttachment.updateOne({ _id: attachmentId, messageId: null }, { $set: { claimedAt: null } });
+
+export const linkChatAttachment = (attachmentId, messageId) =>
+  ChatAttachment.updateOne({ _id: attachmentId }, { $set: { messageId } });
+
+// Message fields for an attachment; content is the caption or a label for the conversation list
+export const attachmentMessageFields = (attachment, caption) => ({
+  content: caption || LABELS[attachment.kind](attachment),
+  messageType: attachment.kind,
+  attachment: {
+    attachmentId: attachment._id,
+    kind: attachment.kind,
+    url: attachment.url,
+    thumbnailUrl: attachment.thumbnailUrl,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    name: attachment.name,
+    width: attachment.width,
+    height: attachment.height,
+    durationSec: attachment.durationSec,
+  },
+});
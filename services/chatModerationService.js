@@ -0,0 +1,166 @@
+import { findPhoneNumbersInText } from 'libphonenumber-js';
+import Report from '../models/Report.js';
+import { PHONE_COUNTRIES } from '../utils/phoneCountries.js';
+import { PROFANITY_LIST } from '../utils/profanityList.js';
+import { MessageBlockedError } from '../utils/errors.js';
+import { CHAT_MODERATION } from '../utils/constants.js';
+
+// Chat content filter. Each rule returns the spans it matched; the action configured for the
+// rule (CHAT_MODERATION.ACTIONS) decides whether the span is masked, the message flagged for
+// review or the whole message blocked. Add rules with registerModerationRule().
+
+const DEFAULT_COUNTRY = 'LK';
+
+// '+94' -> 'LK'; shared calling codes (+1, +7) resolve to the first listed country, which
+// parses national numbers the same way
+export const countryForCallingCode = (callingCode) => {
+  if (!callingCode) return DEFAULT_COUNTRY;
+  const code = String(callingCode).startsWith('+') ? String(callingCode) : `+${callingCode}`;
+  return PHONE_COUNTRIES.find((c) => c.callingCode === code)?.iso2 || DEFAULT_COUNTRY;
+};
+
+const spansOf = (text, regex) => [...text.matchAll(regex)].map((m) => ({ start: m.index, end: m.index + m[0].length }));
+
+// 9+ digits split only by spaces/brackets; catches numbers libphonenumber can't place.
+// '-' and '.' are left out so dates and times (2024-01-15 10:30) aren't taken for phones
+const DIGIT_RUN = /\+?\d(?:[\s()]*\d){8,}/g;
+const EMAIL = /[a-z0-9._%+-]+\s*(?:@|[([]at[)\]])\s*[a-z0-9-]+(?:\s*(?:\.|[([]dot[)\]])\s*[a-z0-9-]+)+/gi;
+const LINK = new RegExp(
+  [
+    String.raw`(?:https?:\/\/|www\.)\S+`,
+    // bare domains such as wa.me/947..., t.me/x, example.lk (not the domain half of an email)
+    String.raw`(?<![@\w.-])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|lk|me|io|co|info|app|link|ly|gl)\b(?:\/\S*)?`,
+  ].join('|'),
+  'gi'
+);
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildProfanityRegex = () => {
+  const extra = (process.env.CHAT_PROFANITY_EXTRA || '').split(',');
+  const words = [...new Set([...Object.values(PROFANITY_LIST).flat(), ...extra].map((w) => w.trim().toLowerCase()))]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  // \b doesn't understand Sinhala/Tamil letters and vowel signs, so use Unicode-aware edges
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${words.map(escapeRegex).join('|')})(?![\\p{L}\\p{M}\\p{N}])`, 'giu');
+};
+
+const PROFANITY = buildProfanityRegex();
+
+const rules = [
+  {
+    id: 'phone',
+    detect: (text, { defaultCountry }) => [
+      ...findPhoneNumbersInText(text, { defaultCountry }).map((n) => ({ start: n.startsAt, end: n.endsAt })),
+      ...spansOf(text, DIGIT_RUN),
+    ],
+  },
+  { id: 'email', detect: (text) => spansOf(text, EMAIL) },
+  { id: 'link', detect: (text) => spansOf(text, LINK) },
+  { id: 'profanity', detect: (text) => spansOf(text, PROFANITY) },
+];
+
+/**
+ * Add a rule to the pipeline.
+ * @param {{ id: string, detect: (text, context) => Array<{ start, end }>, defaultAction?: string }} rule
+ */
+export const registerModerationRule = (rule) => {
+  rules.push(rule);
+};
+
+const actionFor = (rule) => CHAT_MODERATION.ACTIONS[rule.id] || rule.defaultAction || 'allow';
+
+const maskSpans = (text, spans) => {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  let out = '';
+  let cursor = 0;
+  for (const { start, end } of sorted) {
+    if (end <= cursor) continue;
+    out += text.slice(cursor, Math.max(start, cursor)) + CHAT_MODERATION.MASK;
+    cursor = end;
+  }
+  return out + text.slice(cursor);
+};
+
+/**
+ * Run text through every rule.
+ * @returns {{ action: 'allow'|'mask'|'flag'|'block', content: string, rules: string[], flagged: boolean }}
+ */
+export const moderateText = (text, context = {}) => {
+  const ctx = { defaultCountry: DEFAULT_COUNTRY, ...context };
+  const hits = rules
+    .map((rule) => ({ id: rule.id, action: actionFor(rule), spans: rule.detect(text, ctx) || [] }))
+    .filter((h) => h.spans.length && h.action !== 'allow');
+
+  if (!hits.length) return { action: 'allow', content: text, rules: [], flagged: false };
+
+  const blocked = hits.filter((h) => h.action === 'block');
+  if (blocked.length) return { action: 'block', content: text, rules: blocked.map((h) => h.id), flagged: false };
+
+  const flagged = hits.some((h) => h.action === 'flag');
+  return {
+    action: flagged ? 'flag' : 'mask',
+    content: maskSpans(text, hits.filter((h) => h.action === 'mask').flatMap((h) => h.spans)),
+    rules: hits.map((h) => h.id),
+    flagged,
+  };
+};
+
+const CONTACT_RULES = ['phone', 'email', 'link'];
+
+/**
+ * Moderate outgoing chat text (message or caption) from sender.
+ * @throws {MessageBlockedError} when a "block" rule matches
+ * @returns {{ content: string, moderation: Object|null, flagged: boolean }}
+ */
+export const moderateChatMessage = (text, sender) => {
+  if (!text) return { content: text, moderation: null, flagged: false };
+
+  const result = moderateText(text, { defaultCountry: countryForCallingCode(sender?.countryCode) });
+  if (result.action === 'block') {
+    const sharingContact = result.rules.some((r) => CONTACT_RULES.includes(r));
+    throw new MessageBlockedError(
+      sharingContact
+        ? 'Phone numbers, emails and links cannot be shared in chat. Unlock contact details instead.'
+        : 'This message was blocked for offensive language',
+      result.rules
+    );
+  }
+  if (result.action === 'allow') return { content: text, moderation: null, flagged: false };
+
+  return {
+    content: result.content,
+    moderation: { action: result.action, rules: result.rules },
+    flagged: result.flagged,
+  };
+};
+
+/**
+ * Queue a flagged message for admin review. One pending report per sender and conversation
+ * collects further flagged messages instead of opening a new report each time.
+ */
+export const reportFlaggedMessage = async ({ message, rules: matchedRules, originalContent }) => {
+  const excerpt = `[${message._id}] ${String(originalContent || message.content).slice(0, 300)}`;
+  const abusive = matchedRules.includes('profanity');
+
+  await Report.findOneAndUpdate(
+    {
+      source: 'auto_moderation',
+      reportedUserId: message.senderId,
+      conversationId: message.conversationId,
+      status: 'pending',
+    },
+    {
+      $setOnInsert: {
+        reportType: abusive ? 'offensive_language' : 'inappropriate_content',
+        description: 'Flagged automatically by the chat content filter',
+      },
+      $addToSet: { moderationRules: { $each: matchedRules } },
+      $push: {
+        messageIds: { $each: [message._id], $slice: -50 },
+        evidence: { $each: [excerpt], $slice: -10 },
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
@@ -0,0 +1,29 @@
+import Interest from '../models/Interest.js';
+
+// User fields hasPremiumAccess needs to tell whether an owner's incognito is still active
+export const OWNER_ENTITLEMENT_FIELDS = 'isPremium premiumExpiry subscription';
+
+/**
+ * Owners whose incognito profiles the viewer may still see: anyone who sent the
+ * viewer an interest, plus everyone the viewer has matched with.
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function getIncognitoAllowList(viewerId) {
+  if (!viewerId) return [];
+
+  const edges = await Interest.find({
+    $or: [{ receiverId: viewerId }, { senderId: viewerId, status: 'accepted' }],
+  })
+    .select('senderId receiverId')
+    .lean();
+
+  const viewerStr = viewerId.toString();
+  const ids = new Map();
+  for (const e of edges) {
+    const other = e.senderId.toString() === viewerStr ? e.receiverId : e.senderId;
+    ids.set(other.toString(), other);
+  }
+  return [...ids.values()];
+}
+
+export default { getIncognitoAllowList };
@@ -0,0 +1,89 @@
+import Interest from '../models/Interest.js';
+import Profile from '../models/Profile.js';
+import MarriageSuccess from '../models/MarriageSuccess.js';
+import SuccessStory from '../models/SuccessStory.js';
+
+const COMMISSION_BPS = Number(process.env.PLATFORM_COMMISSION_BPS || 2000);
+
+/**
+ * Agency-managed partner: the other partner owes the profile's success fee,
+ * tracked through the existing MarriageSuccess payment flow (pending -> paid -> agency_paid).
+ */
+async function recordAgencySuccess(closure, managedProfile, otherProfile) {
+  const exists = await MarriageSuccess.exists({
+    agencyProfileId: managedProfile._id,
+    'metadata.matchClosureId': closure._id,
+  });
+  if (exists) return null;
+
+  const successFee = Number(managedProfile.successFee) || 0;
+  const adminAmount = Math.round((successFee * COMMISSION_BPS) / 10000);
+
+  return MarriageSuccess.create({
+    userId: otherProfile.userId,
+    userProfileId: otherProfile._id,
+    agencyId: managedProfile.agencyId,
+    agencyProfileId: managedProfile._id,
+    successFee,
+    currency: managedProfile.successFeeCurrency || 'LKR',
+    adminAmount,
+    agencyAmount: successFee - adminAmount,
+    status: 'pending',
+    metadata: { matchClosureId: closure._id, relationshipStatus: closure.relationshipStatus },
+  });
+}
+
+/**
+ * Apply a confirmed closure: hide both profiles from search, withdraw every other
+ * pending interest either partner is part of, publish the story (if both opted in)
+ * and hand agency-managed matches to the MarriageSuccess fee flow.
+ */
+export async function finalizeMatchClosure(closure) {
+  const userIds = [closure.proposerId, closure.partnerId];
+  const now = new Date();
+
+  await Profile.updateMany(
+    { userId: { $in: userIds } },
+    { $set: { relationshipStatus: closure.relationshipStatus, foundPartnerAt: now } }
+  );
+
+  const withdrawn = await Interest.updateMany(
+    { status: 'pending', $or: [{ senderId: { $in: userIds } }, { receiverId: { $in: userIds } }] },
+    { $set: { status: 'withdrawn', respondedAt: now, updatedAt: now } }
+  );
+
+  const profiles = await Profile.find({ userId: { $in: userIds } })
+    .select('userId isAgencyManaged agencyId successFee successFeeCurrency')
+    .lean();
+
+  const agencySuccesses = [];
+  for (const managed of profiles.filter((p) => p.isAgencyManaged && p.agencyId)) {
+    const other = profiles.find((p) => p.userId.toString() !== managed.userId.toString());
+    if (!other) continue;
+    const record = await recordAgencySuccess(closure, managed, other);
+    if (record) agencySuccesses.push(record);
+  }
+
+  // both opted in while confirming, so the story goes straight to admin review
+  if (closure.story && closure.proposerSharesStory && closure.partnerSharesStory && !closure.successStoryId) {
+    const story = await SuccessStory.create({
+      matchClosureId: closure._id,
+      marriageSuccessId: agencySuccesses[0]?._id || null,
+      submittedBy: closure.proposerId,
+      partnerIds: userIds,
+      partnerProfileIds: profiles.map((p) => p._id),
+      agencyId: profiles.find((p) => p.isAgencyManaged && p.agencyId)?.agencyId || null,
+      relationshipStatus: closure.relationshipStatus,
+      story: closure.story,
+      consents: [
+        { userId: closure.proposerId, consentedAt: closure.createdAt },
+        { userId: closure.partnerId, consentedAt: closure.respondedAt || new Date() },
+      ],
+      status: 'pending',
+    });
+    closure.successStoryId = story._id;
+    await closure.save();
+  }
+
+  return { withdrawnInterests: withdrawn.modifiedCount || 0, agencySuccesses };
+}
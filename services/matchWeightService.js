@@ -0,0 +1,31 @@
+import MatchWeightConfig from '../models/MatchWeightConfig.js';
+import { DEFAULT_MATCH_WEIGHTS, MATCH_CRITERIA } from '../utils/calculateMatchScore.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// keep only known criteria with finite, non-negative weights
+export function sanitizeWeights(input = {}) {
+  const out = {};
+  for (const { key } of MATCH_CRITERIA) {
+    if (input[key] === undefined) continue;
+    const n = Number(input[key]);
+    if (Number.isFinite(n) && n >= 0) out[key] = n;
+  }
+  return out;
+}
+
+export async function getMatchWeights() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  const cfg = await MatchWeightConfig.findOne().sort({ createdAt: -1 }).lean().catch(() => null);
+  cached = { ...DEFAULT_MATCH_WEIGHTS, ...sanitizeWeights(cfg?.weights || {}) };
+  cachedAt = Date.now();
+  return cached;
+}
+
+export function invalidateMatchWeights() {
+  cached = null;
+  cachedAt = 0;
+}
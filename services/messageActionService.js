@@ -0,0 +1,168 @@
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import { moderateChatMessage, reportFlaggedMessage } from './chatModerationService.js';
+import { ValidationError, AuthorizationError, NotFoundError } from '../utils/errors.js';
+import { LIMITS, MESSAGE_EDITING } from '../utils/constants.js';
+
+// Edit / unsend / delete-for-me on messages and per-participant conversation state.
+// Shared by the REST controller and socket handlers; callers publish the realtime events.
+
+export const DELETED_MESSAGE_LABEL = 'This message was deleted';
+
+const ageMs = (message) => Date.now() - new Date(message.createdAt).getTime();
+const mapGet = (map, key) => (typeof map?.get === 'function' ? map.get(key) : map?.[key]) || null;
+
+/**
+ * Replace the text (or attachment caption) of a message the user sent within the edit window.
+ * Edits go through the same content filter as new messages.
+ * @param {Object} [sender] - user doc/lean (countryCode) for phone detection
+ * @returns {Promise<{ message: Object, changed: boolean }>}
+ */
+export const editMessage = async ({ userId, messageId, content, sender }) => {
+  const trimmed = typeof content === 'string' ? content.trim() : '';
+  if (!trimmed) throw new ValidationError('Content is required');
+  if (trimmed.length > LIMITS.MAX_MESSAGE_LENGTH) {
+    throw new ValidationError(`Message too long (max ${LIMITS.MAX_MESSAGE_LENGTH} characters)`);
+  }
+
+  const message = await Message.findOne({ _id: messageId, senderId: userId, isDeleted: false });
+  if (!message) throw new NotFoundError('Message');
+  if (message.messageType === 'system') throw new AuthorizationError('System messages cannot be edited');
+  if (ageMs(message) > MESSAGE_EDITING.EDIT_WINDOW_MINUTES * 60 * 1000) {
+    throw new AuthorizationError(`Messages can only be edited within ${MESSAGE_EDITING.EDIT_WINDOW_MINUTES} minutes`);
+  }
+
+  const moderated = moderateChatMessage(trimmed, sender);
+  if (message.content === moderated.content) return { message, changed: false };
+  if (message.editHistory.length >= MESSAGE_EDITING.MAX_EDIT_HISTORY) {
+    throw new ValidationError('This message cannot be edited again');
+  }
+
+  const now = new Date();
+  message.editHistory.push({ content: message.content, editedAt: now });
+  message.content = moderated.content;
+  message.editedAt = now;
+  message.moderation = moderated.moderation || undefined;
+  await message.save();
+
+  if (moderated.flagged) {
+    try {
+      await reportFlaggedMessage({ message, rules: moderated.moderation.rules, originalContent: trimmed });
+    } catch {
+      // best-effort; the flag is still stored on message.moderation
+    }
+  }
+
+  await Conversation.updateOne(
+    { _id: message.conversationId, 'lastMessage.messageId': message._id },
+    { $set: { 'lastMessage.content': moderated.content } }
+  );
+
+  return { message, changed: true };
+};
+
+/**
+ * Delete a message for the caller only ("me") or unsend it for both participants ("everyone",
+ * sender only, within the unsend window). Without a scope the sender unsends and the receiver hides.
+ * @returns {Promise<{ message: Object, scope: 'me'|'everyone' }>}
+ */
+export const deleteMessage = async ({ userId, messageId, scope }) => {
+  const message = await Message.findOne({ _id: messageId, $or: [{ senderId: userId }, { receiverId: userId }] });
+  if (!message) throw new NotFoundError('Message');
+
+  const isSender = message.senderId.toString() === userId.toString();
+  const resolved = scope || (isSender ? 'everyone' : 'me');
+  if (!['me', 'everyone'].includes(resolved)) throw new ValidationError('scope must be "me" or "everyone"');
+
+  if (resolved === 'me') {
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+    return { message, scope: 'me' };
+  }
+
+  if (!isSender) throw new AuthorizationError('Only the sender can delete a message for everyone');
+  if (message.isDeleted) return { message, scope: 'everyone' };
+  if (ageMs(message) > MESSAGE_EDITING.UNSEND_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw new AuthorizationError(
+      `Messages can only be deleted for everyone within ${MESSAGE_EDITING.UNSEND_WINDOW_HOURS} hours`
+    );
+  }
+
+  message.isDeleted = true;
+  message.deletedAt = new Date();
+  await message.save();
+
+  const receiverKey = message.receiverId.toString();
+  await Promise.all([
+    Conversation.updateOne(
+      { _id: message.conversationId, 'lastMessage.messageId': message._id },
+      { $set: { 'lastMessage.content': DELETED_MESSAGE_LABEL } }
+    ),
+    // an unread unsent message shouldn't keep the badge up
+    message.isRead
+      ? null
+      : Conversation.updateOne(
+          { _id: message.conversationId, [`unreadCount.${receiverKey}`]: { $gt: 0 } },
+          { $inc: { [`unreadCount.${receiverKey}`]: -1 } }
+        ),
+  ]);
+
+  return { message, scope: 'everyone' };
+};
+
+/**
+ * "Delete conversation" for one participant: drop it from their list and clear their history.
+ * The other participant keeps everything; a new message brings the conversation back.
+ */
+export const hideConversationFor = async ({ conversationId, userId }) => {
+  const key = userId.toString();
+  const at = new Date();
+  const { matchedCount } = await Conversation.updateOne(
+    { _id: conversationId, participants: userId },
+    { $set: { [`hiddenAt.${key}`]: at, [`clearedAt.${key}`]: at, [`unreadCount.${key}`]: 0 } }
+  );
+  if (!matchedCount) throw new NotFoundError('Conversation');
+  return { at };
+};
+
+export const setConversationArchived = async ({ conversationId, userId, archived }) => {
+  const key = `archivedAt.${userId.toString()}`;
+  const at = archived ? new Date() : null;
+  const { matchedCount } = await Conversation.updateOne(
+    { _id: conversationId, participants: userId },
+    archived ? { $set: { [key]: at } } : { $unset: { [key]: 1 } }
+  );
+  if (!matchedCount) throw new NotFoundError('Conversation');
+  return { archived: Boolean(archived), at };
+};
+
+/** Message query for what userId still sees in a conversation. */
+export const visibleMessagesFilter = (conversation, userId) => {
+  const clearedAt = mapGet(conversation.clearedAt, userId.toString());
+  return {
+    conversationId: conversation._id,
+    isDeleted: false,
+    deletedFor: { $ne: userId },
+    ...(clearedAt && { createdAt: { $gt: clearedAt } }),
+  };
+};
+
+/** Conversation list query; archived=true lists only the archive. */
+export const conversationListFilter = (userId, { archived = false } = {}) => {
+  const key = userId.toString();
+  return {
+    participants: userId,
+    [`hiddenAt.${key}`]: { $exists: false },
+    [`archivedAt.${key}`]: { $exists: archived },
+  };
+};
+
+// Per-participant fields only make sense to their owner
+export const participantView = (conversation, userId) => {
+  const key = userId.toString();
+  const { hiddenAt, clearedAt, archivedAt, ...rest } = conversation;
+  return {
+    ...rest,
+    archived: Boolean(mapGet(archivedAt, key)),
+    clearedAt: mapGet(clearedAt, key),
+  };
+};
@@ -0,0 +1,78 @@
+import Message from '../models/Message.js';
+import Profile from '../models/Profile.js';
+
+// Message state machine: sent -> delivered -> read. Each transition returns the affected
+// messages grouped per sender/conversation so the socket layer can tell every sender device.
+
+const groupBySender = (messages) => {
+  const groups = new Map();
+  for (const m of messages) {
+    const key = `${m.senderId}:${m.conversationId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { senderId: m.senderId.toString(), conversationId: m.conversationId.toString(), messageIds: [] });
+    }
+    groups.get(key).messageIds.push(m._id.toString());
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Mark messages waiting for receiverId as delivered.
+ * @param {Object} [scope] - { messageIds } or { conversationId }; omitted = everything pending
+ * @returns {Promise<{ at: Date, groups: Array }>}
+ */
+export const markMessagesDelivered = async (receiverId, { messageIds, conversationId } = {}) => {
+  const filter = { receiverId, status: 'sent', isDeleted: false };
+  if (messageIds) filter._id = { $in: messageIds };
+  if (conversationId) filter.conversationId = conversationId;
+
+  const pending = await Message.find(filter).select('_id senderId conversationId').lean();
+  if (!pending.length) return { at: null, groups: [] };
+
+  const at = new Date();
+  await Message.updateMany(
+    { _id: { $in: pending.map((m) => m._id) }, status: 'sent' },
+    { $set: { status: 'delivered', deliveredAt: at } }
+  );
+  return { at, groups: groupBySender(pending) };
+};
+
+/**
+ * Mark everything readerId received in a conversation as read.
+ * @returns {Promise<{ at: Date, groups: Array }>}
+ */
+export const markConversationRead = async ({ conversationId, readerId }) => {
+  const unread = await Message.find({ conversationId, receiverId: readerId, isRead: false })
+    .select('_id senderId conversationId deliveredAt')
+    .lean();
+  if (!unread.length) return { at: null, groups: [] };
+
+  const at = new Date();
+  const ids = unread.map((m) => m._id);
+  await Message.updateMany({ _id: { $in: ids } }, { $set: { status: 'read', isRead: true, readAt: at } });
+  // reading implies delivery; backfill for messages read before a delivery event arrived
+  await Message.updateMany({ _id: { $in: ids }, deliveredAt: null }, { $set: { deliveredAt: at } });
+  return { at, groups: groupBySender(unread) };
+};
+
+/** privacySettings.readReceipts defaults to on */
+export const sharesReadReceipts = async (userId) => {
+  const profile = await Profile.findOne({ userId }).select('privacySettings').lean();
+  return profile?.privacySettings?.readReceipts !== false;
+};
+
+// Reciprocal, like most messengers: turning your own receipts off also hides other people's from you
+export const readReceiptsVisibleBetween = async (userA, userB) => {
+  const [a, b] = await Promise.all([sharesReadReceipts(userA), sharesReadReceipts(userB)]);
+  return a && b;
+};
+
+/** Downgrade "read" to "delivered" on the viewer's own messages when receipts are hidden. */
+export const maskReadReceipts = (messages, viewerId) => {
+  const viewer = viewerId.toString();
+  return messages.map((m) => {
+    const isReadMessage = m.status === 'read' || m.isRead;
+    if (m.senderId?.toString() !== viewer || !isReadMessage) return m;
+    return { ...m, status: 'delivered', isRead: false, readAt: null };
+  });
+};
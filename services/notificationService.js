@@ -0,0 +1,34 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { isBlockedBetween } from './blockService.js';
+
+/**
+ * Create a notification unless it is about someone blocked (either direction).
+ * @param {Object} data - Notification fields; relatedUserId is the other party
+ * @returns {Promise<Object|null>} created notification, or null when suppressed
+ */
+export async function notifyUser(data) {
+  if (data?.relatedUserId && (await isBlockedBetween(data.userId, data.relatedUserId))) return null;
+  return Notification.create(data);
+}
+
+/**
+ * notifyUser, plus the owning agency when the member is agency-managed (managed users cannot log in).
+ * @returns {Promise<Object|null>} the member's notification
+ */
+export async function notifyMember(data) {
+  const created = await notifyUser(data);
+
+  const user = await User.findById(data.userId).select('isManagedProfile managedByAgencyId').lean();
+  if (user?.isManagedProfile && user.managedByAgencyId) {
+    await notifyUser({
+      ...data,
+      userId: user.managedByAgencyId,
+      metadata: { ...(data.metadata || {}), onBehalfOf: data.userId },
+    });
+  }
+
+  return created;
+}
+
+export default { notifyUser, notifyMember };
@@ -0,0 +1,46 @@
+import ProfileView from '../models/ProfileView.js';
+import Profile from '../models/Profile.js';
+import { isIncognitoActive } from '../utils/privacy.js';
+
+const dayKey = (d = new Date()) => d.toISOString().slice(0, 10);
+
+/**
+ * Record that viewer looked at viewedProfile. Repeat views on the same day only
+ * bump viewCount; Profile.profileViews counts unique viewer-days. Views by premium
+ * members browsing incognito are stored as anonymous.
+ */
+export async function recordProfileView({ viewer, viewedProfile }) {
+  const viewerId = viewer?._id;
+  const viewedUserId = viewedProfile?.userId?._id || viewedProfile?.userId;
+  if (!viewerId || !viewedProfile?._id || !viewedUserId) return { recorded: false };
+  if (viewerId.toString() === viewedUserId.toString()) return { recorded: false };
+
+  const now = new Date();
+  const viewerProfile = await Profile.findOne({ userId: viewerId }).select('_id privacySettings').lean();
+  const isAnonymous = isIncognitoActive(viewerProfile, viewer);
+
+  // anonymity only ever upgrades within a day record: an incognito visit hides the whole day,
+  // and a later visible visit never reveals an earlier anonymous one
+  const result = await ProfileView.updateOne(
+    { viewerId, viewedProfileId: viewedProfile._id, day: dayKey(now) },
+    isAnonymous
+      ? {
+          $setOnInsert: { viewedUserId },
+          $set: { viewedAt: now, isAnonymous: true, viewerProfileId: null },
+          $inc: { viewCount: 1 },
+        }
+      : {
+          $setOnInsert: { viewedUserId, viewerProfileId: viewerProfile?._id || null, isAnonymous: false },
+          $set: { viewedAt: now },
+          $inc: { viewCount: 1 },
+        },
+    { upsert: true }
+  );
+
+  const isNew = Boolean(result.upsertedCount);
+  if (isNew) await Profile.updateOne({ _id: viewedProfile._id }, { $inc: { profileViews: 1 } });
+
+  return { recorded: true, isNew, isAnonymous };
+}
+
+export default { recordProfileView };
@@ -0,0 +1,128 @@
+import SubscriptionPlan from '../models/SubscriptionPlan.js';
+import UsageCounter from '../models/UsageCounter.js';
+import { hasPremiumAccess } from '../utils/entitlements.js';
+import { QuotaExceededError } from '../utils/errors.js';
+import { QUOTA_METRICS, DEFAULT_PLAN_LIMITS } from '../utils/constants.js';
+
+const QUOTA_MESSAGES = {
+  interestsPerDay: 'Daily interest limit reached',
+  contactUnlocksPerMonth: 'Monthly contact unlock limit reached',
+  chatInitiationsPerDay: 'Daily new chat limit reached',
+  superInterestsPerMonth: 'Monthly super interest allowance used',
+  chatAttachmentsPerDay: 'Daily attachment limit reached',
+};
+
+// Periods are calendar days/months in UTC
+const periodBounds = (metric, now = new Date()) => {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  if (QUOTA_METRICS[metric] === 'month') {
+    return { start: new Date(Date.UTC(y, m, 1)), end: new Date(Date.UTC(y, m + 1, 1)) };
+  }
+  const d = now.getUTCDate();
+  return { start: new Date(Date.UTC(y, m, d)), end: new Date(Date.UTC(y, m, d + 1)) };
+};
+
+/**
+ * Resolve the quota limits that apply to a user.
+ * Admins are unlimited and agencies get the agency plan; otherwise the active plan's
+ * SubscriptionPlan.limits win, with DEFAULT_PLAN_LIMITS filling anything the plan leaves unset.
+ * @returns {Promise<Object>} { planCode, limits: { [metric]: number|null } }
+ */
+export async function getPlanLimits(user) {
+  const unlimited = Object.fromEntries(Object.keys(QUOTA_METRICS).map((m) => [m, null]));
+  if (user?.role === 'admin') return { planCode: user.subscription?.plan || 'free', limits: unlimited };
+
+  let tier = hasPremiumAccess(user) ? 'premium' : 'free';
+  if (user?.role === 'agency') tier = 'agency';
+  const planCode = tier === 'premium' ? String(user.subscription?.plan || 'premium') : tier;
+  const fallback = DEFAULT_PLAN_LIMITS[tier];
+
+  const plan = await SubscriptionPlan.findOne({ code: planCode }).select('limits').lean();
+
+  const limits = {};
+  for (const metric of Object.keys(QUOTA_METRICS)) {
+    const value = plan?.limits?.[metric];
+    limits[metric] = value === undefined ? fallback[metric] ?? null : value;
+  }
+
+  return { planCode, limits };
+}
+
+const usageFor = async (userId, metric, now) => {
+  const { start } = periodBounds(metric, now);
+  const counter = await UsageCounter.findOne({ userId, metric, periodStart: start }).select('count').lean();
+  return counter?.count || 0;
+};
+
+const quotaStatus = (metric, limit, used, now) => ({
+  limit,
+  used,
+  remaining: limit == null ? null : Math.max(0, limit - used),
+  resetsAt: periodBounds(metric, now).end,
+});
+
+/**
+ * Remaining-quota counters for every metric, as returned by /api/auth/me.
+ * @returns {Promise<Object>} { plan, [metric]: { limit, used, remaining, resetsAt } }
+ */
+export async function getQuotaSummary(user) {
+  const now = new Date();
+  const { planCode, limits } = await getPlanLimits(user);
+
+  const metrics = Object.keys(QUOTA_METRICS);
+  const used = await Promise.all(metrics.map((m) => usageFor(user._id, m, now)));
+
+  const summary = { plan: planCode };
+  metrics.forEach((m, i) => {
+    summary[m] = quotaStatus(m, limits[m], used[i], now);
+  });
+  return summary;
+}
+
+/**
+ * Atomically use one unit of a quota.
+ * @throws {QuotaExceededError} when the period's limit is already used up
+ * @returns {Promise<Object>} quota status after consumption
+ */
+export async function consumeQuota(user, metric) {
+  const now = new Date();
+  const { limits } = await getPlanLimits(user);
+  const limit = limits[metric];
+  const { start } = periodBounds(metric, now);
+  const key = { userId: user._id, metric, periodStart: start };
+
+  if (limit == null) {
+    const counter = await UsageCounter.findOneAndUpdate(key, { $inc: { count: 1 } }, { upsert: true, new: true });
+    return quotaStatus(metric, null, counter.count, now);
+  }
+
+  const exceeded = async () => {
+    const used = await usageFor(user._id, metric, now);
+    return new QuotaExceededError(QUOTA_MESSAGES[metric], { metric, ...quotaStatus(metric, limit, used, now) });
+  };
+
+  if (limit <= 0) throw await exceeded();
+
+  try {
+    // the count guard makes the upsert collide with the unique index once the limit is hit
+    const counter = await UsageCounter.findOneAndUpdate(
+      { ...key, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+    return quotaStatus(metric, limit, counter.count, now);
+  } catch (e) {
+    if (e?.code === 11000) throw await exceeded();
+    throw e;
+  }
+}
+
+// Give back a unit when the action it was consumed for did not happen
+export async function releaseQuota(user, metric) {
+  const { start } = periodBounds(metric);
+  await UsageCounter.updateOne(
+    { userId: user._id, metric, periodStart: start, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+}
@@ -0,0 +1,16 @@
+import { getIncognitoAllowList } from './incognitoService.js';
+import { getBlockedUserIds } from './blockService.js';
+
+/**
+ * Per-viewer visibility inputs for baseSearchFilter / buildSearchQuery:
+ * incognito owners the viewer may still see, and users blocked in either direction.
+ */
+export async function getSearchVisibility(viewerId) {
+  const [incognitoAllowIds, blockedUserIds] = await Promise.all([
+    getIncognitoAllowList(viewerId),
+    getBlockedUserIds(viewerId),
+  ]);
+  return { incognitoAllowIds, blockedUserIds };
+}
+
+export default { getSearchVisibility };
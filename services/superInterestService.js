@@ -0,0 +1,31 @@
+import User from '../models/User.js';
+import { consumeQuota, releaseQuota } from './quotaService.js';
+import { AppError, QuotaExceededError } from '../utils/errors.js';
+
+/**
+ * Spend one super interest: the plan's monthly allowance first, then purchased credits.
+ * @throws {AppError} 402 SUPER_INTEREST_REQUIRED when neither is available
+ * @returns {Promise<'plan'|'purchase'>} where the super interest came from
+ */
+export async function useSuperInterest(user) {
+  try {
+    await consumeQuota(user, 'superInterestsPerMonth');
+    return 'plan';
+  } catch (e) {
+    if (!(e instanceof QuotaExceededError)) throw e;
+  }
+
+  const spent = await User.updateOne(
+    { _id: user._id, superInterestCredits: { $gt: 0 } },
+    { $inc: { superInterestCredits: -1 } }
+  );
+  if (spent.modifiedCount) return 'purchase';
+
+  throw new AppError('No super interests left. Buy one to send a super interest.', 402, 'SUPER_INTEREST_REQUIRED');
+}
+
+// Undo useSuperInterest when the interest could not be created
+export async function refundSuperInterest(user, source) {
+  if (source === 'plan') return releaseQuota(user, 'superInterestsPerMonth');
+  if (source === 'purchase') await User.updateOne({ _id: user._id }, { $inc: { superInterestCredits: 1 } });
+}
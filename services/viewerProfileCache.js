@@ -0,0 +1,19 @@
+import Profile from '../models/Profile.js';
+
+/**
+ * The signed-in user's own profile, fetched at most once per request. Search steps
+ * (near=me, mutual ranking, card scoring) all share the same lean document.
+ * @param {Request} req - Express request with req.user
+ * @returns {Promise<Object|null>}
+ */
+export function getViewerProfile(req) {
+  const viewerId = req?.user?._id || req?.user?.id;
+  if (!viewerId) return Promise.resolve(null);
+
+  if (!req.viewerProfilePromise) {
+    req.viewerProfilePromise = Profile.findOne({ userId: viewerId }).lean();
+  }
+  return req.viewerProfilePromise;
+}
+
+export default { getViewerProfile };
@@ -0,0 +1,25 @@
+import { randomUUID } from 'crypto';
+import { createMemoryPresence, createMongoPresence } from './presence.js';
+import { createMongoAdapter } from './mongoAdapter.js';
+import { SOCKET_CLUSTER } from '../utils/constants.js';
+
+/**
+ * Pick the presence store and Socket.IO adapter for this process.
+ * memory: single instance (default). mongo: any number of instances sharing one MongoDB;
+ * run two servers on different PORTs with SOCKET_ADAPTER=mongo to try it locally.
+ * @returns {{ kind: string, serverId: string, adapter: Function|null, presence: Object }}
+ */
+export const createSocketCluster = ({ kind = SOCKET_CLUSTER.ADAPTER } = {}) => {
+  const serverId = randomUUID();
+
+  if (kind === 'mongo') {
+    return {
+      kind,
+      serverId,
+      adapter: createMongoAdapter(),
+      presence: createMongoPresence({ serverId, nodeTimeoutMs: SOCKET_CLUSTER.NODE_TIMEOUT_MS }),
+    };
+  }
+
+  return { kind: 'memory', serverId, adapter: null, presence: createMemoryPresence() };
+};
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+import SocketEvent from '../models/SocketEvent.js';
+
+const RETRY_MS = 1000;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref?.());
+
+/**
+ * Socket.IO adapter that relays cluster messages (broadcasts, room joins, fetchSockets,
+ * serverSideEmit, heartbeats) through the capped SocketEvent collection.
+ * Returns the adapter class to pass as `new Server(http, { adapter })`.
+ */
+export const createMongoAdapter = ({ heartbeatInterval = 5000, heartbeatTimeout = 10000 } = {}) => {
+  // one tailing cursor per process, shared by every namespace
+  const adapters = new Map();
+  let cursor = null;
+  let listening = false;
+  let stopped = false;
+
+  const dispatch = (doc) => {
+    const adapter = adapters.get(doc.nsp);
+    if (!adapter) return;
+
+    const message = { uid: doc.uid, nsp: doc.nsp, type: doc.type, data: doc.data ?? undefined };
+    if (doc.targetUid) {
+      if (doc.targetUid === adapter.uid) adapter.onResponse(message);
+      return;
+    }
+    adapter.onMessage(message, doc._id.toString());
+  };
+
+  const listen = async () => {
+    await mongoose.connection.asPromise();
+    await SocketEvent.init(); // creates the capped collection on first run
+
+    const collection = mongoose.connection.db.collection(SocketEvent.collection.collectionName);
+    // start from the newest event; history from before this process started is irrelevant
+    let lastId = (await collection.find().sort({ $natural: -1 }).limit(1).next())?._id;
+
+    while (!stopped) {
+      try {
+        cursor = collection.find(lastId ? { _id: { $gt: lastId } } : {}, {
+          tailable: true,
+          awaitData: true,
+          promoteBuffers: true,
+        });
+        for await (const doc of cursor) {
+          lastId = doc._id;
+          dispatch(doc);
+        }
+      } catch (err) {
+        if (!stopped) console.error('Socket adapter tail error:', err.message);
+      }
+      // a tailable cursor dies on an empty collection or after a failover; reopen it
+      if (!stopped) await sleep(RETRY_MS);
+    }
+  };
+
+  const startListening = () => {
+    if (listening) return;
+    listening = true;
+    stopped = false;
+    listen().catch((err) => console.error('Socket adapter failed to start:', err.message));
+  };
+
+  const stopListening = () => {
+    stopped = true;
+    listening = false;
+    cursor?.close().catch(() => {});
+    cursor = null;
+  };
+
+  const insert = (doc) =>
+    SocketEvent.collection.insertOne({ ...doc, createdAt: new Date() }, { ignoreUndefined: true });
+
+  return class MongoAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, { heartbeatInterval, heartbeatTimeout });
+      adapters.set(nsp.name, this);
+      startListening();
+    }
+
+    async doPublish(message) {
+      const { insertedId } = await insert({
+        uid: message.uid,
+        nsp: message.nsp,
+        type: message.type,
+        data: message.data,
+        targetUid: null,
+      });
+      return insertedId.toString();
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await insert({
+        uid: response.uid,
+        nsp: response.nsp,
+        type: response.type,
+        data: response.data,
+        targetUid: requesterUid,
+      });
+    }
+
+    close() {
+      super.close();
+      adapters.delete(this.nsp.name);
+      if (!adapters.size) stopListening();
+    }
+  };
+};
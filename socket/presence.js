@@ -0,0 +1,137 @@
+import SocketPresence from '../models/SocketPresence.js';
+import SocketNode from '../models/SocketNode.js';
+
+// Presence stores: which users have which sockets connected. Both implementations share one
+// async interface so socketHandler doesn't care whether it runs as one process or many.
+//
+//   add(userId, socketId)      -> sockets the user now has (all servers)
+//   remove(userId, socketId)   -> sockets the user has left
+//   isOnline(userId)           -> boolean
+//   onlineUsers()              -> Map<userId, Set<socketId>>
+//   sweep(isLocalSocketAlive)  -> userIds that went offline (dead local sockets, dead servers)
+//   close()                    -> userIds that went offline when this server leaves
+
+export const createMemoryPresence = () => {
+  const users = new Map();
+
+  const remove = async (userId, socketId) => {
+    const set = users.get(userId);
+    if (!set) return 0;
+    set.delete(socketId);
+    if (set.size === 0) users.delete(userId);
+    return set.size;
+  };
+
+  return {
+    kind: 'memory',
+
+    add: async (userId, socketId) => {
+      const set = users.get(userId) || new Set();
+      set.add(socketId);
+      users.set(userId, set);
+      return set.size;
+    },
+
+    remove,
+
+    isOnline: async (userId) => users.has(String(userId)),
+
+    onlineUsers: async () => new Map([...users].map(([k, v]) => [k, new Set(v)])),
+
+    sweep: async (isLocalSocketAlive) => {
+      const offline = [];
+      for (const [userId, set] of users) {
+        for (const socketId of set) {
+          if (!isLocalSocketAlive(socketId)) set.delete(socketId);
+        }
+        if (set.size === 0) {
+          users.delete(userId);
+          offline.push(userId);
+        }
+      }
+      return offline;
+    },
+
+    close: async () => {
+      const offline = [...users.keys()];
+      users.clear();
+      return offline;
+    },
+  };
+};
+
+export const createMongoPresence = ({ serverId, nodeTimeoutMs }) => {
+  const heartbeat = () =>
+    SocketNode.updateOne({ serverId }, { $set: { heartbeatAt: new Date() } }, { upsert: true });
+
+  // drops the given rows and reports which of their users have no socket left anywhere
+  const dropRows = async (rows) => {
+    if (!rows.length) return [];
+    await SocketPresence.deleteMany({ _id: { $in: rows.map((r) => r._id) } });
+
+    const userIds = [...new Set(rows.map((r) => r.userId.toString()))];
+    const stillOnline = new Set(
+      (await SocketPresence.distinct('userId', { userId: { $in: userIds } })).map(String)
+    );
+    return userIds.filter((id) => !stillOnline.has(id));
+  };
+
+  // register before any socket connects so other nodes' sweeps don't treat us as dead
+  heartbeat().catch((err) => console.error('Socket presence heartbeat failed:', err.message));
+
+  return {
+    kind: 'mongo',
+
+    add: async (userId, socketId) => {
+      await SocketPresence.updateOne(
+        { socketId },
+        { $set: { userId, serverId, connectedAt: new Date() } },
+        { upsert: true }
+      );
+      return SocketPresence.countDocuments({ userId });
+    },
+
+    remove: async (userId, socketId) => {
+      await SocketPresence.deleteOne({ socketId });
+      return SocketPresence.countDocuments({ userId });
+    },
+
+    isOnline: async (userId) => Boolean(await SocketPresence.exists({ userId })),
+
+    onlineUsers: async () => {
+      const rows = await SocketPresence.find().select('userId socketId').lean();
+      const users = new Map();
+      for (const { userId, socketId } of rows) {
+        const key = userId.toString();
+        if (!users.has(key)) users.set(key, new Set());
+        users.get(key).add(socketId);
+      }
+      return users;
+    },
+
+    sweep: async (isLocalSocketAlive) => {
+      await heartbeat();
+
+      const liveServers = await SocketNode.distinct('serverId', {
+        heartbeatAt: { $gte: new Date(Date.now() - nodeTimeoutMs) },
+      });
+      const local = await SocketPresence.find({ serverId }).select('socketId').lean();
+      const deadLocal = local.filter((r) => !isLocalSocketAlive(r.socketId)).map((r) => r.socketId);
+
+      const stale = await SocketPresence.find({
+        $or: [{ serverId: { $nin: liveServers } }, { socketId: { $in: deadLocal } }],
+      })
+        .select('userId')
+        .lean();
+
+      return dropRows(stale);
+    },
+
+    close: async () => {
+      const rows = await SocketPresence.find({ serverId }).select('userId').lean();
+      const offline = await dropRows(rows);
+      await SocketNode.deleteOne({ serverId });
+      return offline;
+    },
+  };
+};
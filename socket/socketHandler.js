@@ -3,30 +3,113 @@ import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
-import Notification from '../models/Notification.js';
+import { notifyUser } from '../services/notificationService.js';
+import { isBlockedBetween } from '../services/blockService.js';
+import {
+  claimChatAttachment,
+  linkChatAttachment,
+  releaseChatAttachment,
+  attachmentMessageFields,
+} from '../services/chatAttachmentService.js';
+import {
+  markMessagesDelivered,
+  markConversationRead,
+  readReceiptsVisibleBetween,
+} from '../services/messageStatusService.js';
+import { editMessage, deleteMessage } from '../services/messageActionService.js';
+import { moderateChatMessage, reportFlaggedMessage } from '../services/chatModerationService.js';
 import { canChatAccess } from '../utils/entitlements.js'; // ✅ changed
+import { createMemoryPresence } from './presence.js';
 import { LIMITS, CLEANUP_INTERVAL } from '../utils/constants.js';
 
 const getUserIdFromDecoded = (decoded) =>
   decoded?.id || decoded?._id || decoded?.userId || decoded?.sub || null;
 
-const socketHandler = (io) => {
-  const onlineUsers = new Map();
+// per-user room: reaches every device of a user, on whichever server it is connected
+const userRoom = (userIdStr) => `user:${userIdStr}`;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.presence] - presence store from socket/presence.js (in-memory by default)
+ */
+const socketHandler = (io, { presence = createMemoryPresence() } = {}) => {
   let cleanupInterval = null;
 
-  const addSocket = (userIdStr, socketId) => {
-    const set = onlineUsers.get(userIdStr) || new Set();
-    set.add(socketId);
-    onlineUsers.set(userIdStr, set);
-    return set.size;
+  const emitToUser = (userIdStr, event, payload) => {
+    io.to(userRoom(String(userIdStr))).emit(event, payload);
   };
 
-  const removeSocket = (userIdStr, socketId) => {
-    const set = onlineUsers.get(userIdStr);
-    if (!set) return 0;
-    set.delete(socketId);
-    if (set.size === 0) onlineUsers.delete(userIdStr);
-    return set.size;
+  const publishStatus = ({ at, groups }, status) => {
+    for (const { senderId, conversationId, messageIds } of groups) {
+      emitToUser(senderId, 'message_status', { conversationId, messageIds, status, at });
+    }
+  };
+
+  const deliverPending = async (receiverIdStr, scope) => {
+    if (!(await presence.isOnline(receiverIdStr))) return;
+    publishStatus(await markMessagesDelivered(receiverIdStr, scope), 'delivered');
+  };
+
+  // message is already saved; fan out to the open conversation and all devices of both users
+  const publishNewMessage = async (msg, { clientId } = {}) => {
+    const conversationId = msg.conversationId.toString();
+    const senderIdStr = msg.senderId.toString();
+    const receiverIdStr = msg.receiverId.toString();
+
+    io.to([conversationId, userRoom(senderIdStr), userRoom(receiverIdStr)]).emit('new_message', {
+      ...msg,
+      conversationId,
+      clientId,
+    });
+
+    emitToUser(receiverIdStr, 'message_notification', {
+      conversationId,
+      senderId: msg.senderId,
+      content: msg.content.substring(0, 100),
+    });
+
+    await deliverPending(receiverIdStr, { messageIds: [msg._id] }).catch(() => {});
+  };
+
+  // result comes from markConversationRead; the reader's other devices always sync,
+  // senders only hear about it when both sides share read receipts
+  const publishRead = async ({ conversationId, readerId, result }) => {
+    const readerIdStr = readerId.toString();
+    emitToUser(readerIdStr, 'conversation_read', { conversationId, at: result.at });
+
+    for (const group of result.groups) {
+      if (!(await readReceiptsVisibleBetween(readerIdStr, group.senderId))) continue;
+      publishStatus({ at: result.at, groups: [group] }, 'read');
+      io.to(conversationId.toString()).emit('messages_read', { conversationId, userId: readerId });
+    }
+  };
+
+  const toParticipants = (message) =>
+    io.to([
+      message.conversationId.toString(),
+      userRoom(message.senderId.toString()),
+      userRoom(message.receiverId.toString()),
+    ]);
+
+  const publishMessageEdited = (message) => {
+    toParticipants(message).emit('message_edited', {
+      conversationId: message.conversationId,
+      messageId: message._id,
+      content: message.content,
+      editedAt: message.editedAt,
+    });
+  };
+
+  // "me" deletions only sync the deleting user's own devices
+  const publishMessageDeleted = ({ message, scope, userId }) => {
+    const payload = { conversationId: message.conversationId, messageId: message._id, scope };
+    if (scope === 'everyone') toParticipants(message).emit('message_deleted', payload);
+    else emitToUser(userId, 'message_deleted', payload);
+  };
+
+  // hidden/archived state is per participant, so only their devices hear about it
+  const publishConversationState = ({ userId, conversationId, ...state }) => {
+    emitToUser(userId, 'conversation_updated', { conversationId, ...state });
   };
 
   io.use(async (socket, next) => {
@@ -60,42 +143,30 @@ const socketHandler = (io) => {
     }
   });
 
+  const markOffline = (userIds) =>
+    Promise.all(
+      userIds.map((id) => User.findByIdAndUpdate(id, { isOnline: false, lastActive: new Date() }).catch(() => {}))
+    );
+
+  // drops sockets that vanished without a disconnect event (and, clustered, servers that died)
   const runCleanup = async () => {
     try {
-      const disconnectedUsers = [];
-
-      onlineUsers.forEach((set, userIdStr) => {
-        const alive = new Set();
-        set.forEach((socketId) => {
-          const s = io.sockets.sockets.get(socketId);
-          if (s && s.connected) alive.add(socketId);
-        });
-
-        if (alive.size === 0) disconnectedUsers.push(userIdStr);
-        else onlineUsers.set(userIdStr, alive);
-      });
-
-      for (const userIdStr of disconnectedUsers) {
-        onlineUsers.delete(userIdStr);
-        await User.findByIdAndUpdate(userIdStr, { isOnline: false, lastActive: new Date() }).catch(() => {});
-      }
+      const isLocalSocketAlive = (socketId) => Boolean(io.sockets.sockets.get(socketId)?.connected);
+      await markOffline(await presence.sweep(isLocalSocketAlive));
     } catch {}
   };
 
   cleanupInterval = setInterval(runCleanup, CLEANUP_INTERVAL);
 
-  const cleanup = () => {
+  const cleanup = async () => {
     if (cleanupInterval) {
       clearInterval(cleanupInterval);
       cleanupInterval = null;
     }
 
-    const offlinePromises = [];
-    onlineUsers.forEach((_set, userIdStr) => {
-      offlinePromises.push(User.findByIdAndUpdate(userIdStr, { isOnline: false, lastActive: new Date() }).catch(() => {}));
-    });
-
-    Promise.all(offlinePromises).finally(() => onlineUsers.clear());
+    try {
+      await markOffline(await presence.close());
+    } catch {}
   };
 
   io.on('connection', async (socket) => {
@@ -106,12 +177,15 @@ const socketHandler = (io) => {
     }
 
     const userIdStr = userId.toString();
-    const wasOnline = onlineUsers.has(userIdStr);
+    socket.join(userRoom(userIdStr));
 
-    addSocket(userIdStr, socket.id);
+    const socketCount = await presence.add(userIdStr, socket.id).catch(() => 1);
 
     await User.findByIdAndUpdate(userId, { isOnline: true, lastActive: new Date() }).catch(() => {});
-    if (!wasOnline) socket.broadcast.emit('user_status_change', { userId, isOnline: true });
+    if (socketCount === 1) socket.broadcast.emit('user_status_change', { userId, isOnline: true });
+
+    // anything sent while this user was offline has now reached a device
+    deliverPending(userIdStr).catch(() => {});
 
     socket.on('join_conversation', async (conversationId) => {
       try {
@@ -138,19 +212,21 @@ const socketHandler = (io) => {
 
     socket.on('send_message', async (data) => {
       try {
-        const { conversationId, receiverId, content, messageType, clientId } = data || {};
+        const { conversationId, receiverId, content, attachmentId, clientId } = data || {};
         const fail = (msg) => socket.emit('message_error', { error: msg, clientId });
 
         if (!conversationId || !mongoose.Types.ObjectId.isValid(conversationId)) return fail('Invalid conversation ID');
         if (!receiverId || !mongoose.Types.ObjectId.isValid(receiverId)) return fail('Invalid receiver ID');
-        if (typeof content !== 'string') return fail('Content must be a string');
+        if (attachmentId && !mongoose.Types.ObjectId.isValid(attachmentId)) return fail('Invalid attachment ID');
+        if (content != null && typeof content !== 'string') return fail('Content must be a string');
 
-        const trimmed = content.trim();
-        if (!trimmed) return fail('Message cannot be empty');
+        // with an attachment, content is an optional caption
+        const trimmed = (content || '').trim();
+        if (!trimmed && !attachmentId) return fail('Message cannot be empty');
         if (trimmed.length > LIMITS.MAX_MESSAGE_LENGTH) return fail(`Message too long (max ${LIMITS.MAX_MESSAGE_LENGTH} characters)`);
 
         const sender = await User.findById(userId)
-          .select('role isPremium subscription isSuspended isActive premiumExpiry') // ✅ include role
+          .select('role isPremium subscription isSuspended isActive premiumExpiry countryCode') // ✅ include role
           .lean();
 
         if (!sender) return fail('User not found');
@@ -160,73 +236,128 @@ const socketHandler = (io) => {
         // ✅ changed: agencies can chat without premium
         if (!canChatAccess(sender)) return fail('Premium subscription required');
 
+        let moderated;
+        try {
+          moderated = moderateChatMessage(trimmed, sender);
+        } catch (e) {
+          return socket.emit('message_error', { error: e.message, code: e.code, rules: e.rules, clientId });
+        }
+
         const receiver = await User.findById(receiverId).select('isSuspended isActive').lean();
         if (!receiver) return fail('Receiver not found');
         if (receiver.isSuspended || receiver.isActive === false) return fail('Cannot message this user');
 
-        const conversation = await Conversation.findById(conversationId).select('participants isBlocked');
+        const conversation = await Conversation.findById(conversationId).select('participants');
         if (!conversation) return fail('Conversation not found');
-        if (conversation.isBlocked) return fail('Conversation is blocked');
+        if (await isBlockedBetween(userId, receiverId)) return fail('Conversation is blocked');
 
         const senderOk = conversation.participants.some((p) => p.toString() === userId.toString());
         const receiverOk = conversation.participants.some((p) => p.toString() === receiverId.toString());
         if (!senderOk || !receiverOk) return fail('Not authorized');
 
-        const msg = await Message.create({
-          conversationId,
-          senderId: userId,
-          receiverId,
-          content: trimmed,
-          messageType: messageType || 'text',
-        });
+        let fields = { content: moderated.content, messageType: 'text' };
+        if (attachmentId) {
+          const attachment = await claimChatAttachment({ attachmentId, senderId: userId, conversationId });
+          if (!attachment) return fail('Attachment not found or already sent');
+          fields = attachmentMessageFields(attachment, moderated.content);
+        }
+
+        let msg;
+        try {
+          msg = await Message.create({
+            conversationId,
+            senderId: userId,
+            receiverId,
+            ...fields,
+            ...(moderated.moderation && { moderation: moderated.moderation }),
+          });
+        } catch (e) {
+          if (attachmentId) await releaseChatAttachment(attachmentId);
+          throw e;
+        }
+        if (attachmentId) await linkChatAttachment(attachmentId, msg._id);
+        if (moderated.flagged) {
+          try {
+            await reportFlaggedMessage({ message: msg, rules: moderated.moderation.rules, originalContent: trimmed });
+          } catch {
+            // best-effort; the flag is still stored on message.moderation
+          }
+        }
 
         await Conversation.findByIdAndUpdate(conversationId, {
           $set: {
-            lastMessage: { content: trimmed, senderId: userId, timestamp: new Date(), messageType: messageType || 'text' },
+            lastMessage: {
+              messageId: msg._id,
+              content: fields.content,
+              senderId: userId,
+              timestamp: new Date(),
+              messageType: fields.messageType,
+            },
             updatedAt: new Date(),
+            hiddenAt: {}, // a new message brings a deleted conversation back for both sides
           },
           $inc: { [`unreadCount.${receiverId.toString()}`]: 1 },
         });
 
-        io.to(conversationId).emit('new_message', { ...msg.toObject(), conversationId, clientId });
+        socket.to(conversationId).emit('user_stop_typing', { userId, conversationId });
+        await publishNewMessage(msg.toObject(), { clientId });
 
         try {
-          await Notification.create({
+          await notifyUser({
             userId: receiverId,
             type: 'new_message',
             title: 'New message',
-            message: trimmed.length > 120 ? `${trimmed.slice(0, 120)}...` : trimmed,
+            message: fields.content.length > 120 ? `${fields.content.slice(0, 120)}...` : fields.content,
             relatedUserId: userId,
             relatedConversationId: conversationId,
             actionUrl: `/chat/${conversationId}`,
-            metadata: { kind: 'chat', messageType: messageType || 'text' },
+            metadata: { kind: 'chat', messageType: fields.messageType },
           });
         } catch {}
-
-        const receiverSockets = onlineUsers.get(receiverId.toString());
-        if (receiverSockets) {
-          for (const sid of receiverSockets) {
-            io.to(sid).emit('message_notification', {
-              conversationId,
-              senderId: userId,
-              content: trimmed.substring(0, 100),
-            });
-          }
-        }
       } catch {
         socket.emit('message_error', { error: 'Failed to send message', clientId: data?.clientId });
       }
     });
 
+    socket.on('edit_message', async ({ messageId, content, clientId } = {}) => {
+      try {
+        if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+          return socket.emit('message_error', { error: 'Invalid message ID', clientId });
+        }
+        const sender = await User.findById(userId).select('countryCode').lean();
+        const { message, changed } = await editMessage({ userId, messageId, content, sender });
+        if (changed) publishMessageEdited(message);
+      } catch (e) {
+        socket.emit('message_error', {
+          error: e.isOperational ? e.message : 'Failed to edit message',
+          code: e.code,
+          rules: e.rules,
+          clientId,
+        });
+      }
+    });
+
+    socket.on('delete_message', async ({ messageId, scope, clientId } = {}) => {
+      try {
+        if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+          return socket.emit('message_error', { error: 'Invalid message ID', clientId });
+        }
+        publishMessageDeleted({ ...(await deleteMessage({ userId, messageId, scope })), userId });
+      } catch (e) {
+        socket.emit('message_error', { error: e.isOperational ? e.message : 'Failed to delete message', clientId });
+      }
+    });
+
+    // only sockets that joined (and so were checked as participants) may signal typing
     socket.on('typing', ({ conversationId } = {}) => {
-      if (conversationId && mongoose.Types.ObjectId.isValid(conversationId)) {
-        socket.to(conversationId).emit('user_typing', { userId, conversationId });
+      if (conversationId && socket.rooms.has(String(conversationId))) {
+        socket.to(String(conversationId)).emit('user_typing', { userId, conversationId });
       }
     });
 
     socket.on('stop_typing', ({ conversationId } = {}) => {
-      if (conversationId && mongoose.Types.ObjectId.isValid(conversationId)) {
-        socket.to(conversationId).emit('user_stop_typing', { userId, conversationId });
+      if (conversationId && socket.rooms.has(String(conversationId))) {
+        socket.to(String(conversationId)).emit('user_stop_typing', { userId, conversationId });
       }
     });
 
@@ -239,17 +370,26 @@ const socketHandler = (io) => {
         const conversation = await Conversation.findOne({ _id: conversationId, participants: userId }).select('_id').lean();
         if (!conversation) return socket.emit('error', { message: 'Conversation not found' });
 
-        await Message.updateMany({ conversationId, receiverId: userId, isRead: false }, { isRead: true, readAt: new Date() });
+        const result = await markConversationRead({ conversationId, readerId: userId });
         await Conversation.updateOne({ _id: conversationId }, { $set: { [`unreadCount.${userId.toString()}`]: 0 } });
 
-        io.to(conversationId).emit('messages_read', { conversationId, userId });
+        await publishRead({ conversationId, readerId: userId, result });
       } catch {
         socket.emit('error', { message: 'Failed to mark as read' });
       }
     });
 
+    // a dropped device shouldn't leave "typing..." stuck on the other side
+    socket.on('disconnecting', () => {
+      for (const room of socket.rooms) {
+        if (mongoose.Types.ObjectId.isValid(room)) {
+          socket.to(room).emit('user_stop_typing', { userId, conversationId: room });
+        }
+      }
+    });
+
     socket.on('disconnect', async () => {
-      const remaining = removeSocket(userIdStr, socket.id);
+      const remaining = await presence.remove(userIdStr, socket.id).catch(() => 0);
       if (remaining === 0) {
         await User.findByIdAndUpdate(userId, { isOnline: false, lastActive: new Date() }).catch(() => {});
         socket.broadcast.emit('user_status_change', { userId, isOnline: false });
@@ -261,7 +401,15 @@ const socketHandler = (io) => {
 
   return {
     cleanup,
-    getOnlineUsers: () => new Map([...onlineUsers].map(([k, v]) => [k, new Set(v)])),
+    emitToUser,
+    publishNewMessage,
+    publishStatus,
+    publishRead,
+    publishMessageEdited,
+    publishMessageDeleted,
+    publishConversationState,
+    isOnline: (userId) => presence.isOnline(String(userId)),
+    getOnlineUsers: () => presence.onlineUsers(),
   };
 };
 
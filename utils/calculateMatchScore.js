@@ -1,40 +1,211 @@
+import { toMajorUnits } from './currency.js';
+
 const norm = (v) => String(v || '').trim().toLowerCase();
 
-const calculateMatchScore = (userProfile, candidateProfile) => {
-  let score = 0;
-  let totalCriteria = 0;
-  const prefs = userProfile.partnerPreferences || {};
+// Preference values that mean "no preference" rather than a real filter
+const ANY_VALUES = new Set(['any', 'doesnt_matter', "doesn't matter", 'no_preference', 'all']);
 
-  if (prefs.ageRange?.min != null && prefs.ageRange?.max != null) {
-    totalCriteria += 10;
-    if (candidateProfile.age >= prefs.ageRange.min && candidateProfile.age <= prefs.ageRange.max) score += 10;
-  }
+export const MATCH_CRITERIA = [
+  { key: 'age', label: 'Age' },
+  { key: 'height', label: 'Height' },
+  { key: 'religion', label: 'Religion' },
+  { key: 'maritalStatus', label: 'Marital status' },
+  { key: 'caste', label: 'Caste' },
+  { key: 'motherTongue', label: 'Mother tongue' },
+  { key: 'education', label: 'Education' },
+  { key: 'diet', label: 'Diet' },
+  { key: 'smoking', label: 'Smoking' },
+  { key: 'drinking', label: 'Drinking' },
+  { key: 'income', label: 'Income' },
+  { key: 'location', label: 'Location' },
+];
 
-  if (prefs.religion?.length) {
-    totalCriteria += 15;
-    const prefSet = new Set(prefs.religion.map(norm));
-    if (prefSet.has(norm(candidateProfile.religion))) score += 15;
-  }
+export const DEFAULT_MATCH_WEIGHTS = {
+  age: 10,
+  height: 8,
+  religion: 15,
+  maritalStatus: 10,
+  caste: 6,
+  motherTongue: 6,
+  education: 10,
+  diet: 5,
+  smoking: 4,
+  drinking: 4,
+  income: 6,
+  location: 10,
+};
 
-  if (prefs.education?.length) {
-    totalCriteria += 10;
-    const prefSet = new Set(prefs.education.map(norm));
-    if (prefSet.has(norm(candidateProfile.education))) score += 10;
-  }
+const toList = (v) => {
+  const arr = Array.isArray(v) ? v : v != null && v !== '' ? [v] : [];
+  return arr.map(norm).filter((x) => x && !ANY_VALUES.has(x));
+};
+
+const toNumber = (v) => {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const readRange = (r) => {
+  if (!r || typeof r !== 'object') return null;
+  const min = toNumber(r.min);
+  const max = toNumber(r.max);
+  if (min == null && max == null) return null;
+  return { min, max };
+};
 
-  if (prefs.country?.length) {
-    totalCriteria += 10;
-    const prefSet = new Set(prefs.country.map(norm));
-    if (prefSet.has(norm(candidateProfile.country))) score += 10;
+const inRange = (value, { min, max }) => (min == null || value >= min) && (max == null || value <= max);
+
+// height is stored either as a number (cm) or as { cm }
+export const heightToCm = (profile) => {
+  if (toNumber(profile?.heightCm) != null) return toNumber(profile.heightCm);
+  const h = profile?.height;
+  if (h && typeof h === 'object') return toNumber(h.cm);
+  const n = toNumber(h);
+  return n != null && n > 0 ? n : null;
+};
+
+// "LKR 1,200,000", "150k", "2.5m" -> major units; ranges take the lower bound
+export const parseIncomeAmount = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  // the unit must be a whole word: "150000 monthly" is not 150000 million
+  const m = String(v || '')
+    .replace(/,/g, '')
+    .toLowerCase()
+    .match(/(\d+(?:\.\d+)?)(?:\s*(k|mn|m|lakhs?)\b)?/);
+  if (!m) return null;
+  const base = Number(m[1]);
+  const mult = { k: 1e3, m: 1e6, mn: 1e6, lakh: 1e5, lakhs: 1e5 }[m[2]] || 1;
+  return base * mult;
+};
+
+const annualIncomeOf = (profile) => {
+  if (toNumber(profile?.annualIncomeMinor) != null) {
+    return toMajorUnits(profile.annualIncomeMinor, profile.incomeCurrency || 'LKR');
   }
+  const annual = parseIncomeAmount(profile?.annualIncome);
+  if (annual != null) return annual;
+  const monthly = parseIncomeAmount(profile?.monthlyIncome);
+  return monthly != null ? monthly * 12 : null;
+};
+
+// income preference is either { min, max } or a single minimum ("500000", "50k")
+const readIncomePref = (pref) => {
+  if (pref && typeof pref === 'object') return readRange(pref);
+  const min = parseIncomeAmount(pref);
+  return min != null ? { min, max: null } : null;
+};
 
-  if (prefs.diet?.length) {
-    totalCriteria += 5;
-    const prefSet = new Set(prefs.diet.map(norm));
-    if (prefSet.has(norm(candidateProfile.diet))) score += 5;
+const listCriterion = (prefValue, candidateValue) => {
+  const wanted = toList(prefValue);
+  if (!wanted.length) return null;
+  const actual = norm(candidateValue);
+  if (!actual) return { ratio: 0, unknown: true };
+  return { ratio: wanted.includes(actual) ? 1 : 0 };
+};
+
+const rangeCriterion = (prefRange, candidateValue) => {
+  const range = readRange(prefRange);
+  if (!range) return null;
+  if (candidateValue == null) return { ratio: 0, unknown: true };
+  return { ratio: inRange(candidateValue, range) ? 1 : 0 };
+};
+
+// Each evaluator returns null when the viewer has no preference for that criterion
+const EVALUATORS = {
+  age: (prefs, c) => rangeCriterion(prefs.ageRange, toNumber(c.age)),
+  height: (prefs, c) => rangeCriterion(prefs.heightRange, heightToCm(c)),
+  religion: (prefs, c) => listCriterion(prefs.religion, c.religion),
+  maritalStatus: (prefs, c) => listCriterion(prefs.maritalStatus, c.maritalStatus),
+  caste: (prefs, c) => listCriterion(prefs.caste, c.caste),
+  motherTongue: (prefs, c) => listCriterion(prefs.motherTongue, c.motherTongue),
+  education: (prefs, c) => listCriterion(prefs.education, c.education),
+  diet: (prefs, c) => listCriterion(prefs.diet, c.diet),
+  smoking: (prefs, c) => listCriterion(prefs.smoking, c.smoking),
+  drinking: (prefs, c) => listCriterion(prefs.drinking, c.drinking),
+
+  income: (prefs, c) => {
+    const range = readIncomePref(prefs.annualIncome);
+    if (!range) return null;
+    // never reveal income the candidate has chosen to hide
+    if (c.privacySettings?.showIncome !== true) return null;
+    const income = annualIncomeOf(c);
+    if (income == null) return { ratio: 0, unknown: true };
+    return { ratio: inRange(income, range) ? 1 : 0 };
+  },
+
+  // every level the viewer specified must match; partial credit per level
+  location: (prefs, c) => {
+    const levels = ['country', 'state', 'city']
+      .map((field) => ({ field, wanted: toList(prefs[field]) }))
+      .filter((l) => l.wanted.length);
+    if (!levels.length) return null;
+    const hits = levels.filter((l) => l.wanted.includes(norm(c[l.field]))).length;
+    return { ratio: hits / levels.length };
+  },
+};
+
+const statusFor = ({ ratio, unknown }) => {
+  if (unknown) return 'unknown';
+  if (ratio >= 1) return 'matched';
+  if (ratio > 0) return 'partial';
+  return 'missed';
+};
+
+/**
+ * Score how well a candidate fits the viewer's partnerPreferences.
+ * @param {Object} viewerProfile - profile holding partnerPreferences
+ * @param {Object} candidateProfile - profile being scored
+ * @param {Object} weights - per-criterion weights (defaults to DEFAULT_MATCH_WEIGHTS)
+ * @returns {Object} { score, breakdown, matched, missed }
+ */
+export const scoreCompatibility = (viewerProfile, candidateProfile, weights = DEFAULT_MATCH_WEIGHTS) => {
+  const prefs = viewerProfile?.partnerPreferences || {};
+  const candidate = candidateProfile || {};
+
+  let earned = 0;
+  let total = 0;
+  const breakdown = [];
+
+  for (const { key, label } of MATCH_CRITERIA) {
+    const weight = Math.max(0, Number(weights?.[key] ?? DEFAULT_MATCH_WEIGHTS[key]) || 0);
+    if (!weight) continue;
+
+    const result = EVALUATORS[key](prefs, candidate);
+    if (!result) continue;
+
+    total += weight;
+    earned += weight * result.ratio;
+    breakdown.push({ criterion: key, label, weight, status: statusFor(result) });
   }
 
-  return totalCriteria ? Math.round((score / totalCriteria) * 100) : 0;
+  return {
+    score: total ? Math.round((earned / total) * 100) : 0,
+    breakdown,
+    matched: breakdown.filter((b) => b.status === 'matched').map((b) => b.criterion),
+    missed: breakdown.filter((b) => b.status !== 'matched').map((b) => b.criterion),
+  };
 };
 
-export default calculateMatchScore;
\ No newline at end of file
+/**
+ * Two-way score: how well the candidate fits the viewer AND how well the viewer
+ * fits the candidate's own partnerPreferences. Combined with a geometric mean so
+ * a one-sided fit ranks below a mutual one.
+ * @returns {Object} { score, forward, reverse } - reverse is null when the candidate has no preferences
+ */
+export const scoreMutualCompatibility = (viewerProfile, candidateProfile, weights = DEFAULT_MATCH_WEIGHTS) => {
+  const forward = scoreCompatibility(viewerProfile, candidateProfile, weights);
+  const reverseResult = scoreCompatibility(candidateProfile, viewerProfile, weights);
+  const reverse = reverseResult.breakdown.length ? reverseResult : null;
+
+  let score = forward.score;
+  if (reverse && forward.breakdown.length) score = Math.round(Math.sqrt(forward.score * reverse.score));
+  else if (reverse) score = reverse.score;
+
+  return { score, forward, reverse };
+};
+
+const calculateMatchScore = (userProfile, candidateProfile, weights) =>
+  scoreCompatibility(userProfile, candidateProfile, weights).score;
+
+export default calculateMatchScore;
@@ -8,12 +8,15 @@ export const LIMITS = {
   MAX_REASON_LENGTH: 500,
 
   MAX_PHOTOS: 6, // aligned with UI + upload middleware
+  MAX_STORY_PHOTOS: 4,
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
 
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 20,
   MAX_LIMIT: 200,
   MAX_LIMIT_SEARCH: 100,
+
+  MAX_SAVED_SEARCHES: 10,
 };
 
 export const OTP = {
@@ -30,6 +33,47 @@ export const TOKEN_EXPIRY = {
 
 export const CLEANUP_INTERVAL = 60000;
 
+// Chat moderation action per rule: allow | mask | flag (deliver + report) | block.
+// Override with CHAT_MODERATION_ACTIONS="phone:block,link:flag".
+const parseModerationActions = (raw = '') =>
+  Object.fromEntries(
+    raw
+      .split(',')
+      .map((pair) => pair.split(':').map((x) => x.trim()))
+      .filter(([rule, action]) => rule && ['allow', 'mask', 'flag', 'block'].includes(action))
+  );
+
+export const CHAT_MODERATION = {
+  ACTIONS: {
+    phone: 'mask',
+    email: 'mask',
+    link: 'mask',
+    profanity: 'flag',
+    ...parseModerationActions(process.env.CHAT_MODERATION_ACTIONS),
+  },
+  MASK: '•••',
+};
+
+// Sender-side message changes; older messages can only be deleted for yourself
+export const MESSAGE_EDITING = {
+  EDIT_WINDOW_MINUTES: 15,
+  UNSEND_WINDOW_HOURS: 48,
+  MAX_EDIT_HISTORY: 10,
+};
+
+// memory = single process; mongo = presence and broadcasts shared through MongoDB across instances
+export const SOCKET_CLUSTER = {
+  ADAPTER: process.env.SOCKET_ADAPTER === 'mongo' ? 'mongo' : 'memory',
+  // a node missing this many cleanup sweeps is treated as dead and its sockets dropped
+  NODE_TIMEOUT_MS: 3 * CLEANUP_INTERVAL,
+};
+
+// Pending interests lapse after EXPIRY_DAYS; the receiver is nudged REMINDER_DAYS before that
+export const INTEREST_EXPIRY = {
+  EXPIRY_DAYS: Number(process.env.INTEREST_EXPIRY_DAYS) || 30,
+  REMINDER_DAYS: Number(process.env.INTEREST_REMINDER_DAYS) || 3,
+};
+
 export const REPORT_TYPES = [
   'fake_profile',
   'inappropriate_behavior',
@@ -44,6 +88,82 @@ export const REPORT_ACTIONS = ['none', 'warning', 'suspension', 'deletion'];
 
 export const SUBSCRIPTION_PLANS = ['free', 'monthly', 'yearly'];
 
+// Usage quotas a SubscriptionPlan can set (null = unlimited); see services/quotaService.js
+export const QUOTA_METRICS = {
+  interestsPerDay: 'day',
+  contactUnlocksPerMonth: 'month',
+  chatInitiationsPerDay: 'day',
+  superInterestsPerMonth: 'month',
+  chatAttachmentsPerDay: 'day',
+};
+
+// Used when no SubscriptionPlan document defines limits for the user's plan
+export const DEFAULT_PLAN_LIMITS = {
+  free: {
+    interestsPerDay: 5,
+    contactUnlocksPerMonth: 3,
+    chatInitiationsPerDay: 3,
+    superInterestsPerMonth: 0,
+    chatAttachmentsPerDay: 0,
+  },
+  premium: {
+    interestsPerDay: 50,
+    contactUnlocksPerMonth: 30,
+    chatInitiationsPerDay: 20,
+    superInterestsPerMonth: 3,
+    chatAttachmentsPerDay: 30,
+  },
+  // agencies chat and send interests on behalf of many managed members, premium or not
+  agency: {
+    interestsPerDay: 100,
+    contactUnlocksPerMonth: 60,
+    chatInitiationsPerDay: 100,
+    superInterestsPerMonth: 0,
+    chatAttachmentsPerDay: 100,
+  },
+};
+
+// Chat attachment kinds: accepted mime types (with the extension a local copy is stored under),
+// accepted file name extensions and size caps (see services/chatAttachmentService.js)
+export const CHAT_ATTACHMENT_TYPES = {
+  image: {
+    mimeTypes: { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif' },
+    extensions: ['.jpg', '.jpeg', '.png', '.webp', '.gif'],
+    maxBytes: 5 * 1024 * 1024,
+  },
+  voice: {
+    mimeTypes: {
+      'audio/mpeg': '.mp3',
+      'audio/mp4': '.m4a',
+      'audio/x-m4a': '.m4a',
+      'audio/aac': '.aac',
+      'audio/ogg': '.ogg',
+      'audio/webm': '.webm',
+      'audio/wav': '.wav',
+    },
+    extensions: ['.mp3', '.m4a', '.mp4', '.aac', '.ogg', '.oga', '.opus', '.webm', '.weba', '.wav'],
+    maxBytes: 5 * 1024 * 1024,
+    maxDurationSec: 120,
+  },
+  file: {
+    mimeTypes: {
+      'application/pdf': '.pdf',
+      'application/msword': '.doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+      'text/plain': '.txt',
+    },
+    extensions: ['.pdf', '.doc', '.docx', '.txt'],
+    maxBytes: 10 * 1024 * 1024,
+  },
+};
+
+// Per-use super interests bought through PayHere (plan code on Payment)
+export const SUPER_INTEREST = {
+  PLAN_CODE: 'super_interest',
+  PRICE_LKR: Number(process.env.SUPER_INTEREST_PRICE_LKR) || 500,
+  MAX_QUANTITY: 10,
+};
+
 export const MARITAL_STATUSES = [
   'never_married',
   'divorced',
@@ -63,4 +183,9 @@ export const DIET_OPTIONS = [
   'pescatarian',
 ];
 
-export const BODY_TYPES = ['slim', 'average', 'athletic', 'heavy', 'fit'];
\ No newline at end of file
+export const BODY_TYPES = ['slim', 'average', 'athletic', 'heavy', 'fit'];
+
+export const SAVED_SEARCH_FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Lowest to highest; Profile.educationLevel stores the index into this list
+export const EDUCATION_LEVELS = ['primary', 'o_level', 'a_level', 'diploma', 'bachelors', 'masters', 'doctorate'];
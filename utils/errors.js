@@ -47,6 +47,20 @@ export class RateLimitError extends AppError {
   }
 }
 
+export class QuotaExceededError extends AppError {
+  constructor(message = 'Plan limit reached', quota = null) {
+    super(message, 429, 'QUOTA_EXCEEDED');
+    this.quota = quota;
+  }
+}
+
+export class MessageBlockedError extends AppError {
+  constructor(message = 'Message blocked by content filter', rules = []) {
+    super(message, 400, 'MESSAGE_BLOCKED');
+    this.rules = rules;
+  }
+}
+
 /**
  * Standardized error handler for controllers
  * @param {Response} res - Express response object
@@ -67,6 +81,8 @@ export const handleControllerError = (res, error, context = 'Operation') => {
       message: error.message,
       code: error.code,
       ...(error.errors && { errors: error.errors }),
+      ...(error.quota && { quota: error.quota }),
+      ...(error.rules && { rules: error.rules }),
     });
   }
 
@@ -131,5 +147,7 @@ export default {
   NotFoundError,
   ConflictError,
   RateLimitError,
+  QuotaExceededError,
+  MessageBlockedError,
   handleControllerError,
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+// ===== FILE: ./utils/gazetteer.js =====
+// Offline city -> coordinates lookup for Profile.location (no geocoding API calls).
+// Sri Lankan towns plus the main diaspora cities. Rows: [city, country, lat, lng, aliases]
+
+const CITIES = [
+  // ---- Sri Lanka ----
+  ['Colombo', 'Sri Lanka', 6.9271, 79.8612, ['colombo fort', 'kolamba', 'kolombo']],
+  ['Sri Jayawardenepura Kotte', 'Sri Lanka', 6.8868, 79.9187, ['kotte', 'sri jayewardenepura kotte']],
+  ['Dehiwala-Mount Lavinia', 'Sri Lanka', 6.839, 79.865, ['dehiwala', 'mount lavinia', 'mt lavinia']],
+  ['Moratuwa', 'Sri Lanka', 6.773, 79.8816],
+  ['Negombo', 'Sri Lanka', 7.2008, 79.8737],
+  ['Kandy', 'Sri Lanka', 7.2906, 80.6337, ['mahanuwara']],
+  ['Galle', 'Sri Lanka', 6.0535, 80.221],
+  ['Jaffna', 'Sri Lanka', 9.6615, 80.0255, ['yalpanam']],
+  ['Kurunegala', 'Sri Lanka', 7.4863, 80.3647],
+  ['Anuradhapura', 'Sri Lanka', 8.3114, 80.4037],
+  ['Polonnaruwa', 'Sri Lanka', 7.9403, 81.0188],
+  ['Trincomalee', 'Sri Lanka', 8.5874, 81.2152, ['trinco']],
+  ['Batticaloa', 'Sri Lanka', 7.731, 81.6747],
+  ['Matara', 'Sri Lanka', 5.9549, 80.555],
+  ['Ratnapura', 'Sri Lanka', 6.6828, 80.3992],
+  ['Badulla', 'Sri Lanka', 6.9934, 81.055],
+  ['Nuwara Eliya', 'Sri Lanka', 6.9497, 80.7891],
+  ['Kalutara', 'Sri Lanka', 6.5854, 79.9607],
+  ['Gampaha', 'Sri Lanka', 7.084, 80.0098],
+  ['Panadura', 'Sri Lanka', 6.7132, 79.9026],
+  ['Kegalle', 'Sri Lanka', 7.2513, 80.3464],
+  ['Hambantota', 'Sri Lanka', 6.1241, 81.1185],
+  ['Ampara', 'Sri Lanka', 7.2976, 81.682],
+  ['Vavuniya', 'Sri Lanka', 8.7514, 80.4971],
+  ['Mannar', 'Sri Lanka', 8.981, 79.9044],
+  ['Kilinochchi', 'Sri Lanka', 9.3803, 80.377],
+  ['Mullaitivu', 'Sri Lanka', 9.2671, 80.8142],
+  ['Puttalam', 'Sri Lanka', 8.0362, 79.8283],
+  ['Chilaw', 'Sri Lanka', 7.5758, 79.7953],
+  ['Matale', 'Sri Lanka', 7.4675, 80.6234],
+  ['Monaragala', 'Sri Lanka', 6.8728, 81.3507, ['moneragala']],
+  ['Kalmunai', 'Sri Lanka', 7.4167, 81.8167],
+  ['Maharagama', 'Sri Lanka', 6.848, 79.9265],
+  ['Kaduwela', 'Sri Lanka', 6.9306, 79.9846],
+  ['Kelaniya', 'Sri Lanka', 6.9553, 79.922],
+  ['Wattala', 'Sri Lanka', 6.9896, 79.8917],
+  ['Ja-Ela', 'Sri Lanka', 7.0744, 79.8919, ['ja ela', 'jaela']],
+  ['Homagama', 'Sri Lanka', 6.8441, 80.0024],
+  ['Piliyandala', 'Sri Lanka', 6.8018, 79.9227],
+  ['Nugegoda', 'Sri Lanka', 6.8649, 79.8997],
+  ['Battaramulla', 'Sri Lanka', 6.8997, 79.9181],
+  ['Malabe', 'Sri Lanka', 6.904, 79.958],
+  ['Kadawatha', 'Sri Lanka', 7.001, 79.953],
+  ['Horana', 'Sri Lanka', 6.7159, 80.0626],
+  ['Avissawella', 'Sri Lanka', 6.9553, 80.2042],
+  ['Embilipitiya', 'Sri Lanka', 6.3431, 80.849],
+  ['Tangalle', 'Sri Lanka', 6.024, 80.794],
+  ['Hatton', 'Sri Lanka', 6.8916, 80.5955],
+  ['Bandarawela', 'Sri Lanka', 6.8295, 80.987],
+  ['Dambulla', 'Sri Lanka', 7.8742, 80.6511],
+  ['Point Pedro', 'Sri Lanka', 9.8167, 80.2333],
+  ['Chavakachcheri', 'Sri Lanka', 9.658, 80.16],
+  ['Beruwala', 'Sri Lanka', 6.4788, 79.9828],
+  ['Ambalangoda', 'Sri Lanka', 6.2355, 80.0538],
+  ['Hikkaduwa', 'Sri Lanka', 6.1395, 80.1063],
+  ['Weligama', 'Sri Lanka', 5.9749, 80.4297],
+
+  // ---- Diaspora ----
+  ['London', 'United Kingdom', 51.5074, -0.1278],
+  ['Harrow', 'United Kingdom', 51.5806, -0.342],
+  ['Wembley', 'United Kingdom', 51.5588, -0.2817],
+  ['Birmingham', 'United Kingdom', 52.4862, -1.8904],
+  ['Manchester', 'United Kingdom', 53.4808, -2.2426],
+  ['Leicester', 'United Kingdom', 52.6369, -1.1398],
+  ['Toronto', 'Canada', 43.6532, -79.3832],
+  ['Scarborough', 'Canada', 43.7764, -79.2318],
+  ['Markham', 'Canada', 43.8561, -79.337],
+  ['Mississauga', 'Canada', 43.589, -79.6441],
+  ['Montreal', 'Canada', 45.5017, -73.5673],
+  ['Vancouver', 'Canada', 49.2827, -123.1207],
+  ['London', 'Canada', 42.9849, -81.2453],
+  ['Melbourne', 'Australia', -37.8136, 144.9631],
+  ['Sydney', 'Australia', -33.8688, 151.2093],
+  ['Brisbane', 'Australia', -27.4698, 153.0251],
+  ['Perth', 'Australia', -31.9505, 115.8605],
+  ['Adelaide', 'Australia', -34.9285, 138.6007],
+  ['Canberra', 'Australia', -35.2809, 149.13],
+  ['Auckland', 'New Zealand', -36.8485, 174.7633],
+  ['Wellington', 'New Zealand', -41.2865, 174.7762],
+  ['Dubai', 'United Arab Emirates', 25.2048, 55.2708],
+  ['Abu Dhabi', 'United Arab Emirates', 24.4539, 54.3773],
+  ['Sharjah', 'United Arab Emirates', 25.3463, 55.4209],
+  ['Doha', 'Qatar', 25.2854, 51.531],
+  ['Kuwait City', 'Kuwait', 29.3759, 47.9774, ['kuwait']],
+  ['Riyadh', 'Saudi Arabia', 24.7136, 46.6753],
+  ['Jeddah', 'Saudi Arabia', 21.4858, 39.1925],
+  ['Muscat', 'Oman', 23.588, 58.3829],
+  ['Manama', 'Bahrain', 26.2285, 50.586],
+  ['Singapore', 'Singapore', 1.3521, 103.8198],
+  ['Kuala Lumpur', 'Malaysia', 3.139, 101.6869, ['kl']],
+  ['Male', 'Maldives', 4.1755, 73.5093],
+  ['Chennai', 'India', 13.0827, 80.2707, ['madras']],
+  ['Bengaluru', 'India', 12.9716, 77.5946, ['bangalore']],
+  ['Paris', 'France', 48.8566, 2.3522],
+  ['Zurich', 'Switzerland', 47.3769, 8.5417, ['zürich']],
+  ['Geneva', 'Switzerland', 46.2044, 6.1432],
+  ['Bern', 'Switzerland', 46.948, 7.4474],
+  ['Oslo', 'Norway', 59.9139, 10.7522],
+  ['Berlin', 'Germany', 52.52, 13.405],
+  ['Frankfurt', 'Germany', 50.1109, 8.6821],
+  ['Rome', 'Italy', 41.9028, 12.4964],
+  ['Milan', 'Italy', 45.4642, 9.19],
+  ['Naples', 'Italy', 40.8518, 14.2681],
+  ['Stockholm', 'Sweden', 59.3293, 18.0686],
+  ['Copenhagen', 'Denmark', 55.6761, 12.5683],
+  ['Amsterdam', 'Netherlands', 52.3676, 4.9041],
+  ['Tokyo', 'Japan', 35.6762, 139.6503],
+  ['Seoul', 'South Korea', 37.5665, 126.978],
+  ['New York', 'United States', 40.7128, -74.006, ['new york city', 'nyc']],
+  ['Los Angeles', 'United States', 34.0522, -118.2437],
+];
+
+const COUNTRY_ALIASES = {
+  uk: 'united kingdom',
+  england: 'united kingdom',
+  'great britain': 'united kingdom',
+  uae: 'united arab emirates',
+  usa: 'united states',
+  us: 'united states',
+  'united states of america': 'united states',
+  lk: 'sri lanka',
+  ksa: 'saudi arabia',
+};
+
+// "Colombo 07" / "Colombo-3" -> "colombo"
+const normCity = (v) =>
+  String(v || '')
+    .toLowerCase()
+    .replace(/[\s-]*\d+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const normCountry = (v) => {
+  const c = String(v || '').toLowerCase().trim();
+  return COUNTRY_ALIASES[c] || c;
+};
+
+const byName = new Map();
+for (const [city, country, lat, lng, aliases = []] of CITIES) {
+  for (const name of [city, ...aliases]) {
+    const key = normCity(name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push({ city, country, lat, lng });
+  }
+}
+
+/**
+ * Resolve a place to a GeoJSON point. City wins over state; country only breaks ties
+ * (London, UK vs London, Canada).
+ * @returns {{ type: 'Point', coordinates: [number, number] } | null} [lng, lat]
+ */
+export const resolveLocation = ({ city, state, country } = {}) => {
+  const wantedCountry = normCountry(country);
+
+  for (const place of [city, state]) {
+    const hits = byName.get(normCity(place));
+    if (!hits) continue;
+
+    const hit = hits.find((h) => normCountry(h.country) === wantedCountry) || (!wantedCountry && hits[0]);
+    if (hit) return { type: 'Point', coordinates: [hit.lng, hit.lat] };
+  }
+
+  return null;
+};
+
+// "6.9271,79.8612" (lat,lng) -> GeoJSON point
+export const parseLatLng = (value) => {
+  const m = String(value || '').match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lng = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Great-circle distance between two GeoJSON points, in km
+export const distanceKm = (a, b) => {
+  if (!a?.coordinates?.length || !b?.coordinates?.length) return null;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const rad = (d) => (d * Math.PI) / 180;
+  const h =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+export default { resolveLocation, parseLatLng, distanceKm };
@@ -0,0 +1,132 @@
+// ===== FILE: ./utils/interestTemplates.js =====
+// Localized interest message templates. Placeholders are filled only from profile
+// data (never free text), so a templated message needs no further moderation.
+
+export const TEMPLATE_LANGUAGES = ['en', 'si', 'ta'];
+
+export const INTEREST_TEMPLATES = [
+  {
+    id: 'shared_hobby',
+    vars: ['name', 'hobby'],
+    text: {
+      en: 'Hi {name}, I noticed we both enjoy {hobby}. I would love to get to know you better.',
+      si: 'ආයුබෝවන් {name}, අපි දෙදෙනාම {hobby} වලට කැමති බව මම දුටුවා. ඔබ ගැන තවත් දැනගන්න කැමතියි.',
+      ta: 'வணக்கம் {name}, நாம் இருவரும் {hobby} விரும்புவதை கவனித்தேன். உங்களைப் பற்றி மேலும் அறிய விரும்புகிறேன்.',
+    },
+  },
+  {
+    id: 'same_city',
+    vars: ['name', 'city'],
+    text: {
+      en: "Hi {name}, I see you're also from {city}. It would be great to connect.",
+      si: 'ආයුබෝවන් {name}, ඔබත් {city} ප්‍රදේශයේ බව දුටුවා. සම්බන්ධ වෙන්න ලැබුණොත් සතුටුයි.',
+      ta: 'வணக்கம் {name}, நீங்களும் {city} என்பதைப் பார்த்தேன். உங்களுடன் தொடர்பு கொள்ள விரும்புகிறேன்.',
+    },
+  },
+  {
+    id: 'same_institution',
+    vars: ['name', 'institution'],
+    text: {
+      en: 'Hi {name}, we both studied at {institution}! Would you like to talk?',
+      si: 'ආයුබෝවන් {name}, අපි දෙදෙනාම {institution} හි ඉගෙනගෙන තියෙනවා! කතා කරන්න කැමතිද?',
+      ta: 'வணக்கம் {name}, நாம் இருவரும் {institution} இல் படித்தோம்! பேசலாமா?',
+    },
+  },
+  {
+    id: 'occupation',
+    vars: ['name', 'occupation'],
+    text: {
+      en: 'Hi {name}, your work as {occupation} sounds interesting. I would like to know more about you.',
+      si: 'ආයුබෝවන් {name}, {occupation} ලෙස ඔබේ රැකියාව සිත්ගන්නාසුලුයි. ඔබ ගැන තවත් දැනගන්න කැමතියි.',
+      ta: 'வணக்கம் {name}, {occupation} ஆக உங்கள் பணி சுவாரஸ்யமாக உள்ளது. உங்களைப் பற்றி மேலும் அறிய விரும்புகிறேன்.',
+    },
+  },
+  {
+    id: 'family_values',
+    vars: ['name'],
+    text: {
+      en: 'Hi {name}, family means a lot to me and your profile reflects similar values. Shall we talk?',
+      si: 'ආයුබෝවන් {name}, පවුල මට ගොඩක් වැදගත්. ඔබේ පැතිකඩෙත් ඒ වගේම වටිනාකම් පේනවා. කතා කරමුද?',
+      ta: 'வணக்கம் {name}, குடும்பம் எனக்கு மிகவும் முக்கியம், உங்கள் சுயவிவரமும் அதே மதிப்புகளைக் காட்டுகிறது. பேசலாமா?',
+    },
+  },
+  {
+    id: 'liked_profile',
+    vars: ['name'],
+    text: {
+      en: 'Hi {name}, I liked your profile and feel we could be a good match. Looking forward to hearing from you.',
+      si: 'ආයුබෝවන් {name}, ඔබේ පැතිකඩට මම කැමතියි, අපි හොඳ ගැළපීමක් වෙයි කියා හිතෙනවා. ඔබේ පිළිතුර බලාපොරොත්තුවෙන්.',
+      ta: 'வணக்கம் {name}, உங்கள் சுயவிவரம் எனக்குப் பிடித்திருக்கிறது, நாம் நல்ல பொருத்தமாக இருப்போம் என்று நினைக்கிறேன். உங்கள் பதிலை எதிர்பார்க்கிறேன்.',
+    },
+  },
+];
+
+// Profile fields the variables are derived from
+export const TEMPLATE_PROFILE_FIELDS = 'fullName hobbies interests city occupation institution';
+
+const clean = (v) => String(v || '').trim().slice(0, 40);
+const key = (v) => clean(v).toLowerCase();
+
+const shared = (a = [], b = []) => {
+  const theirs = new Set(b.map(key).filter(Boolean));
+  return a.map(clean).filter((v) => v && theirs.has(key(v)));
+};
+
+/**
+ * Allowed values for each placeholder, derived from the two profiles.
+ * The first option is the default; a sender may pick any other listed value.
+ */
+export const templateVariableOptions = (senderProfile = {}, receiverProfile = {}) => {
+  const name = clean(receiverProfile.fullName).split(/\s+/)[0];
+  const senderHobbies = [...(senderProfile.hobbies || []), ...(senderProfile.interests || [])];
+  const receiverHobbies = [...(receiverProfile.hobbies || []), ...(receiverProfile.interests || [])];
+  const sameCity = key(senderProfile.city) && key(senderProfile.city) === key(receiverProfile.city);
+  const sameInstitution =
+    key(senderProfile.institution) && key(senderProfile.institution) === key(receiverProfile.institution);
+
+  const options = {
+    name: name ? [name] : [],
+    hobby: [...new Set(shared(receiverHobbies, senderHobbies))],
+    city: sameCity ? [clean(receiverProfile.city)] : [],
+    institution: sameInstitution ? [clean(receiverProfile.institution)] : [],
+    occupation: clean(receiverProfile.occupation) ? [clean(receiverProfile.occupation)] : [],
+  };
+  return options;
+};
+
+export const resolveTemplateLanguage = (lang) => (TEMPLATE_LANGUAGES.includes(lang) ? lang : 'en');
+
+export const findTemplate = (templateId) => INTEREST_TEMPLATES.find((t) => t.id === templateId) || null;
+
+/**
+ * Pick a value for every placeholder of a template.
+ * @param {Object} requested - sender's choices, e.g. { hobby: 'Cricket' }; ignored unless listed in options
+ * @returns {Object|null} variables, or null when some placeholder has no allowed value
+ */
+export const pickTemplateVariables = (template, options, requested = {}) => {
+  const variables = {};
+  for (const v of template.vars) {
+    const allowed = options[v] || [];
+    if (!allowed.length) return null;
+    const wanted = requested && typeof requested === 'object' ? key(requested[v]) : '';
+    variables[v] = allowed.find((o) => key(o) === wanted) || allowed[0];
+  }
+  return variables;
+};
+
+export const renderTemplate = (template, lang, variables) =>
+  template.text[resolveTemplateLanguage(lang)].replace(/\{(\w+)\}/g, (_, v) => variables?.[v] ?? '');
+
+/**
+ * Templates that can be filled for this pair of profiles, rendered in `lang`.
+ * @returns {Array} [{ id, text, variables, options }]
+ */
+export const suggestInterestTemplates = ({ senderProfile, receiverProfile, lang }) => {
+  const options = templateVariableOptions(senderProfile, receiverProfile);
+  return INTEREST_TEMPLATES.flatMap((template) => {
+    const variables = pickTemplateVariables(template, options);
+    if (!variables) return [];
+    const templateOptions = Object.fromEntries(template.vars.map((v) => [v, options[v]]));
+    return [{ id: template.id, text: renderTemplate(template, lang, variables), variables, options: templateOptions }];
+  });
+};
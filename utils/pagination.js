@@ -1,6 +1,8 @@
 // ===== FILE: ./utils/pagination.js =====
 
+import mongoose from 'mongoose';
 import { LIMITS } from './constants.js';
+import { ValidationError } from './errors.js';
 
 /**
  * Parse pagination parameters from query string
@@ -59,8 +61,134 @@ export const getPagination = (query, total, options = {}) => {
   return { page, limit, skip, pagination };
 };
 
+// ==================== CURSOR (KEYSET) PAGINATION ====================
+// Opaque after/before tokens built from the sort key plus _id, so pages stay stable
+// while new documents arrive. page/limit keeps working when no token is sent.
+
+const encodeValue = (v) => {
+  if (v instanceof Date) return { t: 'd', v: v.toISOString() };
+  if (v === null || v === undefined) return { t: 'n', v: null };
+  return { t: typeof v === 'number' ? 'num' : 's', v: String(v) };
+};
+
+const decodeValue = ({ t, v }) => {
+  if (t === 'd') return new Date(v);
+  if (t === 'n') return null;
+  if (t === 'num') return Number(v);
+  return v;
+};
+
+/**
+ * Opaque cursor for a document at a given sort position
+ * @param {Object} doc - document (needs _id and the sort field)
+ * @param {string} sortField - field the list is sorted by
+ * @returns {string|null} base64url token
+ */
+export const encodeCursor = (doc, sortField) => {
+  if (!doc?._id) return null;
+  const key = sortField === '_id' ? null : encodeValue(doc[sortField]);
+  return Buffer.from(JSON.stringify({ f: sortField, k: key, id: String(doc._id) })).toString('base64url');
+};
+
+/**
+ * @param {string} token - value of ?after= / ?before=
+ * @param {string} sortField - the list's sort field; tokens from another ordering are rejected
+ * @returns {Object|null} { value, id } - throws ValidationError on a malformed token
+ */
+export const decodeCursor = (token, sortField) => {
+  if (!token) return null;
+  try {
+    const { f, k, id } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+    if (sortField && f !== sortField) throw new Error('cursor from another sort order');
+    return { value: k ? decodeValue(k) : undefined, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+};
+
+// Mongo condition for "documents past the cursor" in the given direction.
+// Nulls sort lowest, so they come last in a descending walk.
+const cursorCondition = (sortField, cursor, towardSmaller) => {
+  const idOp = towardSmaller ? '$lt' : '$gt';
+  if (sortField === '_id') return { _id: { [idOp]: cursor.id } };
+
+  const v = cursor.value;
+  if (v === null) {
+    return towardSmaller
+      ? { [sortField]: null, _id: { [idOp]: cursor.id } }
+      : { $or: [{ [sortField]: { $ne: null } }, { [sortField]: null, _id: { [idOp]: cursor.id } }] };
+  }
+
+  const branches = [{ [sortField]: { [idOp]: v } }, { [sortField]: v, _id: { [idOp]: cursor.id } }];
+  if (towardSmaller) branches.push({ [sortField]: null });
+  return { $or: branches };
+};
+
+/**
+ * Page through a Model.find() with page/limit or after/before cursors.
+ * @param {Model} model - mongoose model
+ * @param {Object} filter - base query
+ * @param {Object} query - Express req.query (page, limit, after, before)
+ * @param {Object} options - sortField, sortOrder (1|-1), decorate(q) for populate/select, plus parsePagination options
+ * @returns {Promise<Object>} { items, pagination }
+ */
+export const paginateFind = async (model, filter, query, options = {}) => {
+  const { sortField = 'createdAt', sortOrder = -1, decorate = (q) => q, ...limitOptions } = options;
+  const { page, limit, skip } = parsePagination(query, limitOptions);
+
+  const after = decodeCursor(query.after, sortField);
+  const before = after ? null : decodeCursor(query.before, sortField);
+  const sort = sortField === '_id' ? { _id: sortOrder } : { [sortField]: sortOrder, _id: sortOrder };
+
+  if (!after && !before) {
+    const [items, total] = await Promise.all([
+      decorate(model.find(filter).sort(sort).skip(skip).limit(limit)).lean(),
+      model.countDocuments(filter),
+    ]);
+    const pagination = formatPaginationResponse(total, page, limit);
+    pagination.nextCursor = pagination.hasNext ? encodeCursor(items[items.length - 1], sortField) : null;
+    pagination.prevCursor = pagination.hasPrev ? encodeCursor(items[0], sortField) : null;
+    return { items, pagination };
+  }
+
+  // walk forward from "after", or backward from "before" (then flip back into list order)
+  const descending = sortOrder === -1;
+  const towardSmaller = after ? descending : !descending;
+  const condition = cursorCondition(sortField, after || before, towardSmaller);
+  const walkSort = after ? sort : Object.fromEntries(Object.entries(sort).map(([k, d]) => [k, -d]));
+
+  const rows = await decorate(
+    model
+      .find({ ...filter, $and: [...(filter.$and || []), condition] })
+      .sort(walkSort)
+      .limit(limit + 1)
+  ).lean();
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  if (before) items.reverse();
+
+  const hasNext = after ? hasMore : true;
+  const hasPrev = after ? true : hasMore;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && items.length ? encodeCursor(items[items.length - 1], sortField) : null,
+      prevCursor: hasPrev && items.length ? encodeCursor(items[0], sortField) : null,
+    },
+  };
+};
+
 export default {
   parsePagination,
   formatPaginationResponse,
   getPagination,
+  encodeCursor,
+  decodeCursor,
+  paginateFind,
 };
\ No newline at end of file
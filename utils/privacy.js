@@ -23,7 +23,25 @@ const canSeeProfileByVisibility = ({ profileVisibility, isOwn, isPremium, isMatc
   return false;
 };
 
-export const applyProfilePrivacy = ({ viewer, profile, isMatch = false }) => {
+// Incognito (premium) members stay hidden from everyone they haven't interacted with
+export const isIncognitoProfile = (profile) =>
+  !profile?.isAgencyManaged && profile?.privacySettings?.incognito === true;
+
+// Incognito is a premium feature: it only takes effect while the owner has premium access.
+// Profile cards, profile fetches and anonymous views go through this check; jobs/incognitoExpiry.js
+// switches lapsed incognito off so the search filter doesn't need it.
+export const isIncognitoActive = (profile, owner) => isIncognitoProfile(profile) && hasPremiumAccess(owner);
+
+/**
+ * Mongo clause that hides incognito profiles except those owned by allowedOwnerIds
+ * (people who already sent the viewer an interest, or matched with them).
+ */
+export const incognitoVisibilityFilter = (allowedOwnerIds = []) => ({
+  $or: [{ 'privacySettings.incognito': { $ne: true } }, { userId: { $in: allowedOwnerIds } }],
+});
+
+// owner: the profile owner's entitlement fields (OWNER_ENTITLEMENT_FIELDS) for the incognito check
+export const applyProfilePrivacy = ({ viewer, profile, owner = null, isMatch = false, contactedViewer = false }) => {
   const result = { ...profile };
 
   const viewerId = viewer?._id?.toString?.();
@@ -41,9 +59,12 @@ export const applyProfilePrivacy = ({ viewer, profile, isMatch = false }) => {
   // ✅ Agency-managed profiles are never locked
   const isAgencyManaged = !!profile.isAgencyManaged;
 
+  const hiddenByIncognito = isIncognitoActive(profile, owner) && !isOwn && !isMatch && !contactedViewer;
+
   const canSeeProfile = isAgencyManaged
     ? true
-    : canSeeProfileByVisibility({
+    : !hiddenByIncognito &&
+      canSeeProfileByVisibility({
         profileVisibility: ps.profileVisibility,
         isOwn,
         isPremium,
@@ -54,8 +75,8 @@ export const applyProfilePrivacy = ({ viewer, profile, isMatch = false }) => {
   if (!canSeeProfile) {
     return {
       _id: profile._id,
-      userId: ownerId, // ✅ never return populated user object here
-      profileId: profile.profileId,
+      userId: hiddenByIncognito ? null : ownerId, // ✅ never return populated user object here
+      profileId: hiddenByIncognito ? null : profile.profileId,
       profileLocked: true,
       photosLocked: true,
       viewerContext: { isOwn, isPremiumViewer: isPremium, isMatch, isRegistered },
@@ -0,0 +1,17 @@
+// Default chat profanity list per language. Sinhala and Tamil include the native script and the
+// romanised (Singlish / Tanglish) spellings people actually type. Extend without a deploy via
+// CHAT_PROFANITY_EXTRA="word1,word2" (see services/chatModerationService.js).
+export const PROFANITY_LIST = {
+  en: [
+    'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bitch', 'bastard', 'asshole',
+    'cunt', 'dick', 'slut', 'whore', 'prick', 'wanker',
+  ],
+  si: [
+    'පකයා', 'පක', 'හුත්තා', 'හුත්ත', 'වේසි', 'වේසිගේ', 'කැරියා', 'බැල්ලි', 'පොන්නයා', 'හුකන',
+    'pakaya', 'paka', 'huththa', 'hutta', 'wesi', 'vesi', 'wesige', 'kariya', 'balli', 'ponnaya', 'hukana',
+  ],
+  ta: [
+    'தேவடியா', 'தேவிடியா', 'புண்டை', 'ஓம்மால', 'கூதி', 'சூத்து',
+    'thevdiya', 'thevidiya', 'devdiya', 'punda', 'pundai', 'ommala', 'otha', 'koothi', 'soothu',
+  ],
+};
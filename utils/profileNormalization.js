@@ -0,0 +1,111 @@
+// ===== FILE: ./utils/profileNormalization.js =====
+// Numeric, filterable copies of free-form profile fields (height, income, education, location).
+import { EDUCATION_LEVELS } from './constants.js';
+import { parseIncomeAmount } from './calculateMatchScore.js';
+import { countryCodeToCurrency, toMinorUnits } from './currency.js';
+import { resolveLocation } from './gazetteer.js';
+
+const MIN_HEIGHT_CM = 100;
+const MAX_HEIGHT_CM = 250;
+
+const validCm = (n) => (Number.isFinite(n) && n >= MIN_HEIGHT_CM && n <= MAX_HEIGHT_CM ? Math.round(n) : null);
+const feetInchesToCm = (ft, inch = 0) => validCm((Number(ft) * 12 + Number(inch || 0)) * 2.54);
+
+/**
+ * Height arrives as 170, "170", "170 cm", { cm: 170 }, { feet: 5, inches: 8 } or "5'8\"".
+ * @returns {number|null} whole centimetres
+ */
+export const normalizeHeightCm = (height) => {
+  if (height == null || height === '') return null;
+
+  if (typeof height === 'object') {
+    if (height.cm != null) return validCm(Number(height.cm));
+    if (height.feet != null) return feetInchesToCm(height.feet, height.inches);
+    return null;
+  }
+
+  if (typeof height === 'number') return validCm(height);
+
+  const s = String(height).trim().toLowerCase();
+  const ftIn = s.match(/^(\d)\s*(?:'|ft|feet)\s*(\d{1,2})?/);
+  if (ftIn) return feetInchesToCm(ftIn[1], ftIn[2]);
+
+  const m = s.match(/(\d+(?:\.\d+)?)\s*m\b/);
+  if (m && !s.includes('cm')) return validCm(Number(m[1]) * 100);
+
+  return validCm(parseFloat(s));
+};
+
+const SYMBOL_CURRENCIES = [
+  [/\brs\b|රු|ரூ/i, 'LKR'],
+  [/£/, 'GBP'],
+  [/€/, 'EUR'],
+  [/a\$/i, 'AUD'],
+  [/c\$/i, 'CAD'],
+  [/\$/, 'USD'],
+];
+
+const currencyByCountry = new Map(
+  Object.values(countryCodeToCurrency).map((c) => [c.country.toLowerCase(), c.currency])
+);
+
+const detectCurrency = (text, country) => {
+  const code = String(text || '').toUpperCase().match(/\b([A-Z]{3})\b/);
+  if (code && Object.values(countryCodeToCurrency).some((c) => c.currency === code[1])) return code[1];
+
+  for (const [re, currency] of SYMBOL_CURRENCIES) if (re.test(text)) return currency;
+
+  return currencyByCountry.get(String(country || '').trim().toLowerCase()) || 'LKR';
+};
+
+/**
+ * Annual income in minor units, from annualIncome or monthlyIncome x 12.
+ * @returns {{ annualIncomeMinor: number|null, incomeCurrency: string|null }}
+ */
+export const normalizeIncome = ({ annualIncome, monthlyIncome, country }) => {
+  const annual = parseIncomeAmount(annualIncome);
+  const monthly = annual == null ? parseIncomeAmount(monthlyIncome) : null;
+  const amount = annual ?? (monthly != null ? monthly * 12 : null);
+
+  if (amount == null || amount <= 0) return { annualIncomeMinor: null, incomeCurrency: null };
+
+  const currency = detectCurrency(annual != null ? annualIncome : monthlyIncome, country);
+  return { annualIncomeMinor: toMinorUnits(amount, currency), incomeCurrency: currency };
+};
+
+// Free-text education -> EDUCATION_LEVELS index (checked highest first)
+const EDUCATION_PATTERNS = [
+  ['doctorate', /\b(ph\.?\s?d|doctor(ate)?|d\.?phil|md|mbbs)\b/i],
+  ['masters', /\b(masters?|m\.?sc|m\.?a|mba|m\.?phil|m\.?eng|post\s?grad(uate)?|pg)\b/i],
+  ['bachelors', /\b(bachelors?|b\.?sc|b\.?a|b\.?com|b\.?eng|b\.?tech|llb|degree|graduate|undergrad(uate)?)\b/i],
+  ['diploma', /\b(diploma|hnd|certificate|vocational|professional)\b/i],
+  ['a_level', /\b(a[\s/_-]?l(evels?)?|advanced level|high school)\b/i],
+  ['o_level', /\b(o[\s/_-]?l(evels?)?|ordinary level|secondary)\b/i],
+  ['primary', /\bprimary\b/i],
+];
+
+/** @returns {number|null} index into EDUCATION_LEVELS */
+export const normalizeEducationLevel = (education) => {
+  const s = String(education || '').trim();
+  if (!s) return null;
+
+  const exact = EDUCATION_LEVELS.indexOf(s.toLowerCase());
+  if (exact !== -1) return exact;
+
+  const hit = EDUCATION_PATTERNS.find(([, re]) => re.test(s));
+  return hit ? EDUCATION_LEVELS.indexOf(hit[0]) : null;
+};
+
+// Bump when parsing changes so jobs/profileNormalizationBackfill.js recomputes stored values
+export const NORMALIZATION_VERSION = 2;
+
+// All normalized fields for a profile (plain object or document)
+export const normalizedProfileFields = (profile) => ({
+  normalizationVersion: NORMALIZATION_VERSION,
+  heightCm: normalizeHeightCm(profile.height),
+  ...normalizeIncome(profile),
+  educationLevel: normalizeEducationLevel(profile.education),
+  location: resolveLocation(profile),
+});
+
+export default { normalizeHeightCm, normalizeIncome, normalizeEducationLevel, normalizedProfileFields };
@@ -0,0 +1,151 @@
+// ===== FILE: ./utils/searchQuery.js =====
+// Shared Profile query builder for searchProfiles and saved-search alerts.
+import { incognitoVisibilityFilter } from './privacy.js';
+import { EDUCATION_LEVELS } from './constants.js';
+import { toMinorUnits } from './currency.js';
+
+export const escapeRegex = (str) => {
+  if (!str || typeof str !== 'string') return '';
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+export const parseBool = (v) => {
+  if (v === true || v === 1) return true;
+  const s = String(v || '').toLowerCase();
+  return s === 'true' || s === '1' || s === 'yes';
+};
+
+// ✅ FIX: Base query that excludes inactive / unapproved profiles
+// visibility (see getSearchVisibility): incognitoAllowIds = incognito owners this viewer
+// may still see; blockedUserIds = users blocked in either direction
+export const baseSearchFilter = (viewerId, { incognitoAllowIds = [], blockedUserIds = [] } = {}) => ({
+  userId: { $nin: [viewerId, ...blockedUserIds] },
+  isActive: { $ne: false },
+  relationshipStatus: { $nin: ['engaged', 'married'] },
+  $and: [incognitoVisibilityFilter(incognitoAllowIds)],
+});
+
+// Filter params understood by buildSearchQuery (also what a SavedSearch may store)
+export const SEARCH_FILTER_KEYS = [
+  'q', 'gender', 'minAge', 'maxAge', 'religion', 'caste', 'city', 'state',
+  'education', 'occupation', 'maritalStatus', 'diet', 'smoking', 'drinking',
+  'country', 'citizenship', 'excludeCountry', 'nativeSriLankan', 'sriLankanAbroad',
+  'minHeight', 'maxHeight', 'minIncome', 'maxIncome', 'incomeCurrency', 'minEducation', 'maxEducation',
+];
+
+const toNum = (v) => {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+// { $gte, $lte } from optional bounds, or null when neither is set
+const rangeClause = (min, max) => {
+  if (min == null && max == null) return null;
+  const clause = {};
+  if (min != null) clause.$gte = min;
+  if (max != null) clause.$lte = max;
+  return clause;
+};
+
+const educationIndex = (level) => {
+  const i = EDUCATION_LEVELS.indexOf(String(level || '').toLowerCase());
+  return i === -1 ? null : i;
+};
+
+// Only plain values are kept: an object or array (?gender[$ne]=x) would reach Mongo as an operator
+const isFilterValue = (v) => ['string', 'number', 'boolean'].includes(typeof v) && v !== '';
+
+export const pickSearchFilters = (source = {}) => {
+  const out = {};
+  for (const key of SEARCH_FILTER_KEYS) {
+    if (isFilterValue(source[key])) out[key] = source[key];
+  }
+  return out;
+};
+
+/**
+ * Build the Profile query for a set of search filters
+ * @param {Object} filters - search params (req.query or SavedSearch.filters)
+ * @param {ObjectId|string} viewerId - excluded from results
+ * @param {Object} visibility - see baseSearchFilter
+ * @returns {Object} Mongo query
+ */
+export const buildSearchQuery = (filters = {}, viewerId, visibility = {}) => {
+  const {
+    q, gender, minAge, maxAge, religion, caste, city, state,
+    education, occupation, maritalStatus, diet, smoking, drinking,
+    country, citizenship, excludeCountry, nativeSriLankan, sriLankanAbroad,
+    minHeight, maxHeight, minIncome, maxIncome, incomeCurrency, minEducation, maxEducation,
+  } = pickSearchFilters(filters);
+
+  const query = baseSearchFilter(viewerId, visibility);
+
+  // free-text keywords over the Profile text index (any term matches; ranked by textScore)
+  const keywords = String(q || '').trim();
+  if (keywords) query.$text = { $search: keywords };
+
+  if (gender && gender !== 'all') query.gender = gender;
+
+  if (minAge || maxAge) {
+    query.age = {};
+    if (minAge) query.age.$gte = parseInt(minAge, 10);
+    if (maxAge) query.age.$lte = parseInt(maxAge, 10);
+  }
+
+  if (religion && religion !== '') query.religion = { $regex: escapeRegex(religion), $options: 'i' };
+  if (caste && caste !== '') query.caste = { $regex: escapeRegex(caste), $options: 'i' };
+  if (city && city !== '') query.city = { $regex: escapeRegex(city), $options: 'i' };
+  if (state && state !== '') query.state = { $regex: escapeRegex(state), $options: 'i' };
+  if (occupation && occupation !== '') query.occupation = { $regex: escapeRegex(occupation), $options: 'i' };
+  if (education && education !== '') query.education = education;
+  if (maritalStatus && maritalStatus !== '') query.maritalStatus = maritalStatus;
+  if (diet && diet !== '') query.diet = diet;
+  if (smoking && smoking !== '') query.smoking = smoking;
+  if (drinking && drinking !== '') query.drinking = drinking;
+  if (country && country !== '') query.country = { $regex: escapeRegex(country), $options: 'i' };
+  if (citizenship && citizenship !== '') query.citizenship = { $regex: escapeRegex(citizenship), $options: 'i' };
+
+  // height in cm against the normalized Profile.heightCm
+  const height = rangeClause(toNum(minHeight), toNum(maxHeight));
+  if (height) query.heightCm = height;
+
+  // annual income in major units of incomeCurrency (default LKR); only profiles that
+  // show their income can be filtered on it, otherwise the filter would leak it
+  const currency = String(incomeCurrency || 'LKR').toUpperCase();
+  const toMinor = (v) => (toNum(v) != null ? toMinorUnits(toNum(v), currency) : null);
+  const income = rangeClause(toMinor(minIncome), toMinor(maxIncome));
+  if (income) {
+    query.annualIncomeMinor = income;
+    query.incomeCurrency = currency;
+    query['privacySettings.showIncome'] = true;
+  }
+
+  // ordered levels: minEducation=bachelors also matches masters and doctorate
+  const educationLevel = rangeClause(educationIndex(minEducation), educationIndex(maxEducation));
+  if (educationLevel) query.educationLevel = educationLevel;
+
+  if (excludeCountry && excludeCountry !== '') {
+    query.country = { $ne: String(excludeCountry).trim() };
+  }
+
+  if (parseBool(nativeSriLankan)) {
+    query.citizenship = 'Sri Lanka';
+  }
+
+  if (parseBool(sriLankanAbroad)) {
+    query.citizenship = 'Sri Lanka';
+    query.country = { $ne: 'Sri Lanka' };
+  }
+
+  return query;
+};
+
+export default {
+  escapeRegex,
+  parseBool,
+  baseSearchFilter,
+  SEARCH_FILTER_KEYS,
+  pickSearchFilters,
+  buildSearchQuery,
+};
@@ -0,0 +1,75 @@
+// ===== FILE: ./utils/searchSnippets.js =====
+// Highlighted excerpts for keyword (q) search results.
+
+// Same fields (and order of importance) as the Profile text index
+export const TEXT_SEARCH_FIELDS = [
+  'occupation',
+  'jobTitle',
+  'bio',
+  'hobbies',
+  'interests',
+  'educationField',
+  'institution',
+];
+
+const SNIPPET_RADIUS = 60;
+const MAX_SNIPPETS = 3;
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "doctor Colombo cricket" -> ['doctor', 'colombo', 'cricket']; quotes/negations dropped
+export const tokenizeQuery = (q) =>
+  [...new Set(
+    String(q || '')
+      .toLowerCase()
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter((t) => t && !t.startsWith('-'))
+      .map((t) => t.replace(/[^\p{L}\p{N}]/gu, ''))
+      .filter((t) => t.length >= 2)
+  )];
+
+const fieldText = (value) => (Array.isArray(value) ? value.filter(Boolean).join(', ') : String(value || ''));
+
+/**
+ * Build snippets around the query terms. Highlights are returned as offsets into
+ * the snippet (never as markup) so user-written bios can't inject HTML.
+ * @returns {Array} [{ field, snippet, highlights: [{ start, end }] }]
+ */
+export const buildSearchSnippets = (profile, q) => {
+  const terms = tokenizeQuery(q);
+  if (!profile || !terms.length) return [];
+
+  // word-prefix match so "doctor" also lights up "doctors" (the text index stems)
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escape).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const snippets = [];
+
+  for (const field of TEXT_SEARCH_FIELDS) {
+    const text = fieldText(profile[field]);
+    if (!text) continue;
+
+    const hits = [...text.matchAll(re)];
+    if (!hits.length) continue;
+
+    const first = hits[0].index;
+    const from = Math.max(0, first - SNIPPET_RADIUS);
+    const to = Math.min(text.length, first + hits[0][0].length + SNIPPET_RADIUS);
+    const prefix = from > 0 ? '…' : '';
+
+    const highlights = hits
+      .filter((h) => h.index >= from && h.index + h[0].length <= to)
+      .map((h) => ({ start: h.index - from + prefix.length, end: h.index - from + prefix.length + h[0].length }));
+
+    snippets.push({
+      field,
+      snippet: `${prefix}${text.slice(from, to)}${to < text.length ? '…' : ''}`,
+      highlights,
+    });
+
+    if (snippets.length >= MAX_SNIPPETS) break;
+  }
+
+  return snippets;
+};
+
+export default { TEXT_SEARCH_FIELDS, tokenizeQuery, buildSearchSnippets };
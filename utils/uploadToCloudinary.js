@@ -2,15 +2,24 @@ import fs from 'fs';
 import path from 'path';
 import cloudinary, { hasCloudinary } from '../config/cloudinary.js';
 
-const uploadToCloudinary = async (filePath, folder = 'matrimony') => {
+// options are passed through to Cloudinary (e.g. { resource_type: 'raw' } for documents)
+const uploadToCloudinary = async (filePath, folder = 'matrimony', options = {}) => {
   // fallback to local
   if (!hasCloudinary) {
     return { url: `/uploads/${path.basename(filePath)}`, publicId: null };
   }
 
-  const result = await cloudinary.uploader.upload(filePath, { folder });
+  const result = await cloudinary.uploader.upload(filePath, { folder, ...options });
   try { fs.unlinkSync(filePath); } catch {}
-  return { url: result.secure_url, publicId: result.public_id };
+  return {
+    url: result.secure_url,
+    publicId: result.public_id,
+    resourceType: result.resource_type,
+    width: result.width,
+    height: result.height,
+    bytes: result.bytes,
+    durationSec: result.duration,
+  };
 };
 
 export default uploadToCloudinary;
\ No newline at end of file
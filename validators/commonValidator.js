@@ -75,6 +75,18 @@ export const interestValidator = [
     .trim()
     .isLength({ max: 200 })
     .withMessage('Message too long (max 200 characters)'),
+  body('templateId').optional().isString().trim().isLength({ max: 50 }).withMessage('Invalid template ID'),
+  body('variables').optional().isObject().withMessage('variables must be an object'),
+  body('superInterest').optional().isBoolean().withMessage('superInterest must be a boolean').toBoolean(),
+];
+
+export const interestTemplatesValidator = [
+  query('receiverId')
+    .notEmpty()
+    .withMessage('Receiver ID required')
+    .isMongoId()
+    .withMessage('Invalid receiver ID'),
+  query('lang').optional().isIn(['en', 'si', 'ta']).withMessage('lang must be en, si or ta'),
 ];
 
 export const reportValidator = [
@@ -111,4 +123,38 @@ export const reportValidator = [
 ];
 
 export const mongoIdValidator = [param('id').isMongoId().withMessage('Invalid ID format')];
-export const userIdParamValidator = [param('userId').isMongoId().withMessage('Invalid user ID')];
\ No newline at end of file
+export const userIdParamValidator = [param('userId').isMongoId().withMessage('Invalid user ID')];
+
+export const matchClosureValidator = [
+  body('partnerId').notEmpty().withMessage('Partner ID required').isMongoId().withMessage('Invalid partner ID'),
+  body('relationshipStatus').isIn(['engaged', 'married']).withMessage('relationshipStatus must be engaged or married'),
+  body('story').optional().isString().trim().isLength({ max: 2000 }).withMessage('Story too long (max 2000)'),
+  body('shareStory').optional().isBoolean().withMessage('shareStory must be a boolean').toBoolean(),
+  body('onBehalfOf').optional().isMongoId().withMessage('Invalid member ID'),
+];
+
+export const matchClosureResponseValidator = [
+  param('id').isMongoId().withMessage('Invalid ID format'),
+  body('story').optional().isString().trim().isLength({ max: 2000 }).withMessage('Story too long (max 2000)'),
+  body('shareStory').optional().isBoolean().withMessage('shareStory must be a boolean').toBoolean(),
+  body('onBehalfOf').optional().isMongoId().withMessage('Invalid member ID'),
+];
+
+export const successStoryValidator = [
+  body('story')
+    .trim()
+    .notEmpty()
+    .withMessage('Story required')
+    .isLength({ max: 2000 })
+    .withMessage('Story too long (max 2000)'),
+  body('title').optional().trim().isLength({ max: 120 }).withMessage('Title too long (max 120)'),
+  body('onBehalfOf').optional().isMongoId().withMessage('Invalid member ID'),
+];
+
+export const successStoryListValidator = [
+  query('agencyId').optional().isMongoId().withMessage('Invalid agency ID'),
+  query('status')
+    .optional()
+    .isIn(['all', 'awaiting_consent', 'pending', 'approved', 'rejected'])
+    .withMessage('Invalid status'),
+];
@@ -1,5 +1,12 @@
-import { query } from 'express-validator';
-import { LIMITS, GENDERS, MARITAL_STATUSES, DIET_OPTIONS } from '../utils/constants.js';
+import { query, body } from 'express-validator';
+import {
+  LIMITS,
+  GENDERS,
+  MARITAL_STATUSES,
+  DIET_OPTIONS,
+  SAVED_SEARCH_FREQUENCIES,
+  EDUCATION_LEVELS,
+} from '../utils/constants.js';
 
 const GENDERS_WITH_ALL = [...GENDERS, 'all'];
 
@@ -47,9 +54,39 @@ export const searchProfilesValidator = [
   query('smoking').optional().trim().isLength({ max: 20 }).withMessage('Smoking must be less than 20 characters'),
   query('drinking').optional().trim().isLength({ max: 20 }).withMessage('Drinking must be less than 20 characters'),
 
+  query('minHeight').optional().isInt({ min: 100, max: 250 }).toInt().withMessage('minHeight must be 100–250 cm'),
+  query('maxHeight').optional().isInt({ min: 100, max: 250 }).toInt().withMessage('maxHeight must be 100–250 cm'),
+
+  query('minIncome').optional().isFloat({ min: 0 }).toFloat().withMessage('minIncome must be a positive number'),
+  query('maxIncome').optional().isFloat({ min: 0 }).toFloat().withMessage('maxIncome must be a positive number'),
+  query('incomeCurrency')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 3 })
+    .isAlpha()
+    .toUpperCase()
+    .withMessage('incomeCurrency must be a 3-letter currency code'),
+
+  query('minEducation')
+    .optional()
+    .isIn(EDUCATION_LEVELS)
+    .withMessage(`minEducation must be one of: ${EDUCATION_LEVELS.join(', ')}`),
+  query('maxEducation')
+    .optional()
+    .isIn(EDUCATION_LEVELS)
+    .withMessage(`maxEducation must be one of: ${EDUCATION_LEVELS.join(', ')}`),
+
+  query('after').optional().isString().isLength({ max: 512 }).withMessage('Invalid cursor'),
+  query('before').optional().isString().isLength({ max: 512 }).withMessage('Invalid cursor'),
+
+  query('near').optional().trim().isLength({ min: 1, max: 100 }).withMessage('near must be "me", a city or "lat,lng"'),
+  query('radiusKm').optional().isFloat({ min: 1, max: 500 }).toFloat().withMessage('radiusKm must be between 1 and 500'),
+
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search text must be less than 100 characters'),
+
   query('sortBy')
     .optional()
-    .isIn(['createdAt', 'age', 'completionPercentage', 'lastActive'])
+    .isIn(['createdAt', 'age', 'completionPercentage', 'lastActive', 'mutualMatch', 'relevance', 'distance'])
     .withMessage('Invalid sort field'),
 
   query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
@@ -81,4 +118,24 @@ export const quickSearchValidator = [
 
 export const suggestedProfilesValidator = [
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt().withMessage('Limit must be between 1 and 50'),
-];
\ No newline at end of file
+];
+
+export const createSavedSearchValidator = [
+  body('name').trim().notEmpty().withMessage('Name required').isLength({ max: 100 }).withMessage('Name too long'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('frequency')
+    .optional()
+    .isIn(SAVED_SEARCH_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SAVED_SEARCH_FREQUENCIES.join(', ')}`),
+  body('alertsEnabled').optional().isBoolean().withMessage('alertsEnabled must be boolean').toBoolean(),
+];
+
+export const updateSavedSearchValidator = [
+  body('name').optional().trim().notEmpty().withMessage('Name required').isLength({ max: 100 }).withMessage('Name too long'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('frequency')
+    .optional()
+    .isIn(SAVED_SEARCH_FREQUENCIES)
+    .withMessage(`Frequency must be one of: ${SAVED_SEARCH_FREQUENCIES.join(', ')}`),
+  body('alertsEnabled').optional().isBoolean().withMessage('alertsEnabled must be boolean').toBoolean(),
+];